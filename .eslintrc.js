@@ -9,4 +9,5 @@ module.exports = {
     "no-empty": ["error", { allowEmptyCatch: true }],
     "no-constant-condition": ["error", { checkLoops: false }],
   },
+  overrides: [{ files: ["spec/**"], env: { jasmine: true } }],
 };
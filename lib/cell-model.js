@@ -45,6 +45,25 @@ function escapeCarriageReturn(text) {
   return result.join("\n");
 }
 
+// Set (or remove, when value is falsy) a key of the standard `metadata.jupyter`
+// namespace, returning a new metadata object without empty leftovers.
+function withJupyterMetadata(metadata, key, value) {
+  const jupyter = { ...(metadata.jupyter || {}) };
+  if (value) {
+    jupyter[key] = value;
+  } else {
+    delete jupyter[key];
+  }
+
+  const result = { ...metadata };
+  if (Object.keys(jupyter).length > 0) {
+    result.jupyter = jupyter;
+  } else {
+    delete result.jupyter;
+  }
+  return result;
+}
+
 function getOutputText(output) {
   if (!output) return "";
   if (output.output_type === "stream") {
@@ -61,7 +80,16 @@ function getOutputText(output) {
 }
 
 class CellModel {
-  constructor({ id, type, source, outputs, executionCount, metadata }) {
+  constructor({
+    id,
+    type,
+    source,
+    outputs,
+    executionCount,
+    metadata,
+    attachments,
+    outputsTrusted,
+  }) {
     this.id = id;
     this.type = type || "code";
     this.source = source || "";
@@ -69,8 +97,19 @@ class CellModel {
     this.outputs = outputs || [];
     this.executionCount = executionCount;
     this.metadata = metadata || {};
-    this.outputVisible = true;
-    this.inputVisible = true;
+    // nbformat attachments: { "image.png": { "image/png": "<base64>" } }.
+    // Only markdown and raw cells may carry them (see toJSON).
+    this.attachments = attachments || {};
+    // Visibility follows the nbformat metadata written by JupyterLab and the
+    // classic notebook: `jupyter.source_hidden`, `jupyter.outputs_hidden` and
+    // the older `collapsed` flag.
+    const jupyterMetadata = this.metadata.jupyter || {};
+    this.outputVisible = !(jupyterMetadata.outputs_hidden || this.metadata.collapsed === true);
+    this.inputVisible = !jupyterMetadata.source_hidden;
+    // Outputs read from a file are untrusted until the notebook is trusted;
+    // outputs produced by a kernel run in this session are trusted (a run
+    // always starts from cleared outputs, see _markOutputsCleared).
+    this.outputsTrusted = outputsTrusted ?? this.outputs.length === 0;
     this.status = null; // null | "running"
     this.startTime = null;
     this.lastRunTime = null;
@@ -110,7 +149,7 @@ class CellModel {
       clearTimeout(this._pendingClearTimer);
       this._pendingClearTimer = null;
       this._pendingClearOptions = null;
-      this.outputs = [];
+      this._markOutputsCleared();
     }
     if (this.startTime !== null) {
       this.lastRunTime = performance.now() - this.startTime;
@@ -136,7 +175,7 @@ class CellModel {
     if (["code", "markdown", "raw"].includes(type)) {
       this.type = type;
       if (type !== "code") {
-        this.outputs = [];
+        this._markOutputsCleared();
         this.executionCount = null;
       }
       this.emitter.emit("did-change");
@@ -161,7 +200,7 @@ class CellModel {
     this._flushPendingClear();
     if (this._clearOnNextOutput) {
       this._clearOnNextOutput = false;
-      this.outputs = [];
+      this._markOutputsCleared();
     }
     const previous = this.outputs[this.outputs.length - 1];
     if (
@@ -195,7 +234,7 @@ class CellModel {
     }
     this._clearOnNextOutput = false;
     this._flushPendingClear();
-    this.outputs = [];
+    this._markOutputsCleared();
     this.emitter.emit("did-change");
   }
 
@@ -206,7 +245,7 @@ class CellModel {
       this._pendingClearOptions = null;
     }
     this._clearOnNextOutput = false;
-    this.outputs = [];
+    this._markOutputsCleared();
     this.executionCount = null;
     if (!options.preserveRuntime) {
       this.status = null;
@@ -231,7 +270,7 @@ class CellModel {
     this._pendingClearTimer = setTimeout(() => {
       this._pendingClearTimer = null;
       this._pendingClearOptions = null;
-      this.outputs = [];
+      this._markOutputsCleared();
       this.emitter.emit("did-change");
     }, delayMs);
   }
@@ -241,20 +280,76 @@ class CellModel {
     clearTimeout(this._pendingClearTimer);
     this._pendingClearTimer = null;
     this._pendingClearOptions = null;
+    this._markOutputsCleared();
+  }
+
+  // Anything appended after a clear comes from this session's kernel.
+  _markOutputsCleared() {
     this.outputs = [];
+    this.outputsTrusted = true;
   }
 
   hasPendingClear() {
     return this._pendingClearTimer !== null && this._pendingClearTimer !== undefined;
   }
 
-  toggleOutputVisibility() {
-    this.outputVisible = !this.outputVisible;
+  /**
+   * Store a MIME bundle under an attachment name that is not yet taken,
+   * returning the name actually used (e.g. "image.png" -> "image-1.png").
+   */
+  addAttachment(name, bundle) {
+    const match = /^(.*?)(\.[^.]*)?$/.exec(name || "image.png");
+    const stem = match[1] || "image";
+    const extension = match[2] || "";
+    let uniqueName = `${stem}${extension}`;
+    for (let i = 1; Object.prototype.hasOwnProperty.call(this.attachments, uniqueName); i++) {
+      uniqueName = `${stem}-${i}${extension}`;
+    }
+    this.attachments = { ...this.attachments, [uniqueName]: bundle };
     this.emitter.emit("did-change");
+    return uniqueName;
+  }
+
+  hasAttachments() {
+    return Object.keys(this.attachments || {}).length > 0;
+  }
+
+  toggleOutputVisibility() {
+    this.setOutputVisible(!this.outputVisible);
   }
 
   toggleInputVisibility() {
-    this.inputVisible = !this.inputVisible;
+    this.setInputVisible(!this.inputVisible);
+  }
+
+  setOutputVisible(visible) {
+    this.outputVisible = visible;
+    if (this.type === "code") {
+      const metadata = withJupyterMetadata(this.metadata, "outputs_hidden", !visible);
+      if (visible) {
+        delete metadata.collapsed;
+      } else {
+        metadata.collapsed = true;
+      }
+      this.metadata = metadata;
+    }
+    this.emitter.emit("did-change");
+  }
+
+  setInputVisible(visible) {
+    this.inputVisible = visible;
+    this.metadata = withJupyterMetadata(this.metadata, "source_hidden", !visible);
+    this.emitter.emit("did-change");
+  }
+
+  isHeadingCollapsed() {
+    return this.metadata.jupyter?.heading_collapsed === true;
+  }
+
+  // Stored like JupyterLab's collapsed headings; only meaningful on markdown
+  // cells with a heading (see notebook-sections.js).
+  setHeadingCollapsed(collapsed) {
+    this.metadata = withJupyterMetadata(this.metadata, "heading_collapsed", collapsed);
     this.emitter.emit("did-change");
   }
 
@@ -287,6 +382,8 @@ class CellModel {
     if (this.type === "code") {
       cell.execution_count = this.executionCount;
       cell.outputs = this.outputs || [];
+    } else if (this.hasAttachments()) {
+      cell.attachments = this.attachments;
     }
 
     return cell;
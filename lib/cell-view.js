@@ -4,8 +4,36 @@
 
 const { CompositeDisposable } = require("atom");
 const OutputView = require("./output-view");
+const { renderMarkdown } = require("./markdown-renderer");
+const { diffLines } = require("./notebook-diff");
 const { getGrammarForLanguage, getGrammarScopesForLanguage } = require("./notebook-language");
 
+// Line diff operations from the cell's version ("mine") to the other one
+const MERGE_LINE_SIDES = {
+  equal: { className: "merge-line-equal", side: null },
+  delete: { className: "merge-line-mine", side: "mine" },
+  insert: { className: "merge-line-theirs", side: "theirs" },
+};
+
+const MERGE_RESOLUTIONS = [
+  { resolution: "mine", label: "Keep Mine" },
+  { resolution: "theirs", label: "Take Theirs" },
+  { resolution: "both", label: "Keep Both" },
+];
+
+// Where each side of a conflict comes from: the editor and the file on disk,
+// or the branches of a git conflict.
+function getMergeLabels(conflict) {
+  return { mine: "here", theirs: "on disk", ...conflict.labels };
+}
+
+function describeMergeConflict(conflict) {
+  const labels = getMergeLabels(conflict);
+  if (!conflict.theirs) return `Changed ${labels.mine}, deleted ${labels.theirs}`;
+  if (!conflict.mine) return `Deleted ${labels.mine}, changed ${labels.theirs}`;
+  return `Changed ${labels.mine} and ${labels.theirs} (${conflict.fields.join(", ")})`;
+}
+
 // MIME type tagging the cell-reorder drag payload, so external file/text drops
 // (which carry a text/plain path) are ignored instead of failing JSON.parse.
 const CELL_DRAG_MIME = "application/x-jupyter-cell";
@@ -21,6 +49,8 @@ class CellView {
     this.editor = null;
     this.outputView = null;
     this.dragHandle = null;
+    this.mergeConflictElement = null;
+    this.sectionElements = [];
     this.editorContainer = null;
     this.outputContainer = null;
     this.contentElement = null;
@@ -122,7 +152,14 @@ class CellView {
       execCount.className = "execution-count";
       const execText = this.getExecutionCountText();
       execCount.textContent = execText;
+      execCount.title = this.getExecutionCountTitle();
       this._lastState.execCountText = execText;
+      // Clicking a queued cell's prompt takes it out of the run.
+      execCount.addEventListener("click", (e) => {
+        if (!this.props.queued) return;
+        e.stopPropagation();
+        if (this.props.onDequeue) this.props.onDequeue();
+      });
       prompt.appendChild(execCount);
       this._cachedElements.execCount = execCount;
     }
@@ -202,8 +239,14 @@ class CellView {
 
     // Store reference to content for dynamic output container management
     this.contentElement = content;
+    this.mergeConflictElement = null;
+    this._lastState.mergeConflict = null;
+    this.renderMergeConflict();
 
     this.element.appendChild(content);
+    this.sectionElements = [];
+    this._lastState.section = null;
+    this.renderSectionToggle();
 
     // Cell actions (shown on hover)
     const actions = document.createElement("div");
@@ -258,14 +301,112 @@ class CellView {
     this.renderOutputs();
   }
 
+  // Banner above the input of a cell whose disk changes conflict with
+  // unsaved edits (see NotebookDocument#_mergeFileChange).
+  renderMergeConflict() {
+    const { cell, editor } = this.props;
+    const conflict = this.props.mergeConflict || null;
+    if (this._lastState.mergeConflict === conflict) return;
+    this._lastState.mergeConflict = conflict;
+    this.mergeConflictElement?.remove();
+    this.mergeConflictElement = null;
+    if (!conflict || !this.contentElement) return;
+
+    const banner = document.createElement("div");
+    banner.className = "cell-merge-conflict";
+    const header = document.createElement("div");
+    header.className = "merge-conflict-header";
+    const label = document.createElement("span");
+    label.className = "icon icon-alert merge-conflict-label";
+    label.textContent = describeMergeConflict(conflict);
+    header.appendChild(label);
+
+    const buttons = document.createElement("div");
+    buttons.className = "btn-group merge-conflict-actions";
+    for (const { resolution, label: text } of MERGE_RESOLUTIONS) {
+      const button = document.createElement("button");
+      button.className = "btn btn-xs";
+      button.textContent = text;
+      button.onclick = (e) => {
+        e.stopPropagation();
+        if (editor) editor.resolveMergeConflict(cell.id, resolution);
+      };
+      buttons.appendChild(button);
+    }
+    header.appendChild(buttons);
+    banner.appendChild(header);
+
+    // Line diff from the version shown (mine) to the other one (theirs)
+    if (conflict.mine && conflict.theirs && conflict.fields.includes("source")) {
+      const { source } = conflict.theirs;
+      const theirsSource = Array.isArray(source) ? source.join("") : source || "";
+      const labels = getMergeLabels(conflict);
+      const diff = document.createElement("div");
+      diff.className = "merge-conflict-diff";
+      for (const op of diffLines(cell.source, theirsSource)) {
+        const { className, side } = MERGE_LINE_SIDES[op.type];
+        const line = document.createElement("div");
+        line.className = className;
+        if (side) line.title = `Only ${labels[side]}`;
+        line.textContent = op.text;
+        diff.appendChild(line);
+      }
+      banner.appendChild(diff);
+    }
+
+    this.contentElement.insertBefore(banner, this.contentElement.firstChild);
+    this.mergeConflictElement = banner;
+  }
+
+  // Disclosure toggle of a heading cell, and when collapsed a count of the
+  // cells it hides (see notebook-sections.js).
+  renderSectionToggle() {
+    const { section } = this.props;
+    const state = section ? `${section.collapsed}:${section.hiddenCount}` : null;
+    if (this._lastState.section === state) return;
+    this._lastState.section = state;
+    for (const element of this.sectionElements) element.remove();
+    this.sectionElements = [];
+    if (!section || !this._cachedElements.gutter || !this.contentElement) return;
+
+    const toggle = document.createElement("button");
+    toggle.className = `cell-section-toggle icon ${
+      section.collapsed ? "icon-chevron-right" : "icon-chevron-down"
+    }`;
+    toggle.title = section.collapsed ? "Expand section" : "Collapse section";
+    toggle.draggable = false;
+    toggle.onclick = (e) => {
+      e.stopPropagation();
+      if (this.props.onToggleSection) this.props.onToggleSection();
+    };
+    this._cachedElements.gutter.insertBefore(toggle, this._cachedElements.gutter.firstChild);
+    this.sectionElements.push(toggle);
+
+    if (section.collapsed && section.hiddenCount > 0) {
+      const hidden = document.createElement("button");
+      hidden.className = "btn btn-xs cell-section-hidden-count";
+      hidden.textContent =
+        section.hiddenCount === 1 ? "1 cell hidden" : `${section.hiddenCount} cells hidden`;
+      hidden.title = "Expand section";
+      hidden.onclick = (e) => {
+        e.stopPropagation();
+        if (this.props.onToggleSection) this.props.onToggleSection();
+      };
+      this.contentElement.appendChild(hidden);
+      this.sectionElements.push(hidden);
+    }
+  }
+
   getCellClasses() {
-    const { cell, active, selected } = this.props;
+    const { cell, active, selected, hidden, queued } = this.props;
     return [
       "jupyter-cell",
       `jupyter-cell-${cell.type}`,
       active ? "active" : "",
       selected ? "selected" : "",
       cell.status === "running" ? "running" : "",
+      queued ? "queued" : "",
+      hidden ? "section-hidden" : "",
     ]
       .filter(Boolean)
       .join(" ");
@@ -274,10 +415,17 @@ class CellView {
   getExecutionCountText() {
     const { cell } = this.props;
     if (cell.status === "running") return "[*]";
+    if (this.props.queued) return "[ ]";
     if (cell.executionCount) return `[${cell.executionCount}]`;
     return "";
   }
 
+  getExecutionCountTitle() {
+    return this.props.queued && this.props.cell.status !== "running"
+      ? "Queued. Click to remove from the run"
+      : "";
+  }
+
   renderOutputs() {
     // Cancel any pending render
     if (this._outputRenderFrame) {
@@ -324,12 +472,16 @@ class CellView {
         this.outputView.update({
           outputs: displayableOutputs,
           maxHeight: atom.config.get("jupyter-next.output.maxHeight"),
+          trusted: this.props.notebookTrusted || cell.outputsTrusted,
+          notebook: this.props.editor?.document,
         });
       } else {
         // Create new output view
         this.outputView = new OutputView({
           outputs: displayableOutputs,
           maxHeight: atom.config.get("jupyter-next.output.maxHeight"),
+          trusted: this.props.notebookTrusted || cell.outputsTrusted,
+          notebook: this.props.editor?.document,
         });
         this.outputContainer.innerHTML = "";
         this.outputContainer.appendChild(this.outputView.element);
@@ -448,6 +600,82 @@ class CellView {
 
     // Handle cursor movement for cell navigation
     this.setupCellNavigation();
+
+    // Paste / drop images into markdown cells as attachments
+    this.setupAttachmentHandlers();
+  }
+
+  /**
+   * Turn pasted clipboard images and dropped image files into nbformat
+   * attachments of markdown cells, inserting the matching markdown link.
+   */
+  setupAttachmentHandlers() {
+    if (!this.editorElement) return;
+
+    // Inline listeners run before the editor's own core:paste, so plain text
+    // pastes fall through untouched.
+    this.editorCommandsDisposable = atom.commands.add(this.editorElement, {
+      "core:paste": (event) => {
+        if (this.pasteClipboardImage()) event.stopImmediatePropagation();
+      },
+    });
+
+    this.editorElement.addEventListener("dragover", (event) => {
+      if (!this.acceptsImageDrop(event)) return;
+      event.preventDefault();
+      event.stopPropagation();
+      event.dataTransfer.dropEffect = "copy";
+    });
+
+    this.editorElement.addEventListener("drop", (event) => {
+      if (!this.acceptsImageDrop(event)) return;
+      event.preventDefault();
+      event.stopPropagation();
+      const files = Array.from(event.dataTransfer.files || []).filter((file) =>
+        file.type.startsWith("image/"),
+      );
+      this.insertImageFiles(files);
+    });
+  }
+
+  acceptsImageDrop(event) {
+    if (this.props.cell?.type !== "markdown") return false;
+    return Array.from(event.dataTransfer?.items || []).some(
+      (item) => item.kind === "file" && item.type.startsWith("image/"),
+    );
+  }
+
+  pasteClipboardImage() {
+    if (this.props.cell?.type !== "markdown") return false;
+
+    const { clipboard } = require("electron");
+    const image = clipboard.readImage();
+    // Prefer text when the clipboard carries both (e.g. copied office content).
+    if (image.isEmpty() || clipboard.readText()) return false;
+
+    this.insertAttachmentLink("image.png", "image/png", image.toPNG().toString("base64"));
+    return true;
+  }
+
+  async insertImageFiles(files) {
+    for (const file of files) {
+      try {
+        const data = Buffer.from(await file.arrayBuffer()).toString("base64");
+        this.insertAttachmentLink(file.name, file.type, data);
+      } catch (error) {
+        atom.notifications.addError("Failed to attach image", {
+          detail: error.message,
+          dismissable: true,
+        });
+      }
+    }
+  }
+
+  insertAttachmentLink(name, mime, data) {
+    if (!this.props.onAddAttachment) return;
+    const attachmentName = this.props.onAddAttachment(name, { [mime]: data });
+    if (!attachmentName || !this.editor) return;
+    this.editor.insertText(`![${attachmentName}](attachment:${encodeURI(attachmentName)})`);
   }
 
   /**
@@ -715,26 +943,7 @@ class CellView {
   }
 
   renderMarkdown(source) {
-    try {
-      const marked = require("marked");
-      return marked.parse(source || "");
-    } catch (e) {
-      return this.simpleMarkdown(source || "");
-    }
-  }
-
-  simpleMarkdown(text) {
-    return text
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/^### (.+)$/gm, "<h3>$1</h3>")
-      .replace(/^## (.+)$/gm, "<h2>$1</h2>")
-      .replace(/^# (.+)$/gm, "<h1>$1</h1>")
-      .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
-      .replace(/\*(.+?)\*/g, "<em>$1</em>")
-      .replace(/`(.+?)`/g, "<code>$1</code>")
-      .replace(/\n/g, "<br>");
+    return renderMarkdown(source, { attachments: this.props.cell?.attachments });
   }
 
   update(props) {
@@ -767,6 +976,10 @@ class CellView {
           this.editorRegistryDisposable.dispose();
           this.editorRegistryDisposable = null;
         }
+        if (this.editorCommandsDisposable) {
+          this.editorCommandsDisposable.dispose();
+          this.editorCommandsDisposable = null;
+        }
         this.editor.destroy();
         this.editor = null;
         this.editorElement = null;
@@ -804,6 +1017,7 @@ class CellView {
         const execText = this.getExecutionCountText();
         if (this._lastState.execCountText !== execText) {
           this._cachedElements.execCount.textContent = execText;
+          this._cachedElements.execCount.title = this.getExecutionCountTitle();
           this._lastState.execCountText = execText;
         }
       }
@@ -861,6 +1075,9 @@ class CellView {
         }
       }
 
+      this.renderMergeConflict();
+      this.renderSectionToggle();
+
       // Re-render outputs (OutputView handles its own diffing)
       this.renderOutputs();
 
@@ -976,6 +1193,11 @@ class CellView {
       this.editorRegistryDisposable = null;
     }
 
+    if (this.editorCommandsDisposable) {
+      this.editorCommandsDisposable.dispose();
+      this.editorCommandsDisposable = null;
+    }
+
     if (this.editor) {
       this.editor.destroy();
       this.editor = null;
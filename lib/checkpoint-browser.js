@@ -0,0 +1,251 @@
+/**
+ * CheckpointBrowser - pane item listing a notebook's checkpoints (see
+ * notebook-checkpoints.js). The selected checkpoint is previewed read-only
+ * with the notebook's output and markdown renderers, and can be diffed
+ * against or restored into the notebook editor it was opened from.
+ */
+
+const path = require("path");
+const { CompositeDisposable, Emitter } = require("atom");
+const { deleteCheckpoint, listCheckpoints, readCheckpoint } = require("./notebook-checkpoints");
+const { renderMarkdown } = require("./markdown-renderer");
+const { getNotebookLanguage } = require("./notebook-language");
+const { getNotebookSignature, isSignatureTrusted } = require("./notebook-trust");
+const { highlightCode } = require("./syntax-highlight");
+
+let OutputView = null;
+
+function getOutputView() {
+  if (!OutputView) {
+    OutputView = require("./output-view");
+  }
+  return OutputView;
+}
+
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  if (className) element.className = className;
+  if (text != null) element.textContent = text;
+  return element;
+}
+
+function asText(value) {
+  return Array.isArray(value) ? value.join("") : String(value ?? "");
+}
+
+function createButton(label, icon, onClick) {
+  const button = createElement("button", `btn btn-sm icon ${icon}`, label);
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+class CheckpointBrowser {
+  /**
+   * @param {JupyterNotebookEditor} editor - The notebook whose checkpoints
+   *   are listed; diffs and restores go to it.
+   */
+  constructor(editor) {
+    this.editor = editor;
+    this.emitter = new Emitter();
+    this.disposables = new CompositeDisposable();
+    this.checkpoints = [];
+    this.selected = null;
+    this.selectedNotebook = null;
+    this.outputViews = [];
+
+    this.element = createElement(
+      "div",
+      "jupyter-next jupyter-checkpoint-browser native-key-bindings",
+    );
+    this.element.tabIndex = -1;
+
+    const toolbar = createElement("div", "checkpoint-toolbar btn-toolbar");
+    toolbar.appendChild(
+      createButton("Create Checkpoint", "icon-plus", () => this.editor.createCheckpoint()),
+    );
+    toolbar.appendChild(createButton("Refresh", "icon-sync", () => this.refresh()));
+    this.element.appendChild(toolbar);
+
+    const body = createElement("div", "checkpoint-body");
+    this.listElement = createElement("ol", "checkpoint-list list-group");
+    this.previewElement = createElement("div", "checkpoint-preview");
+    body.appendChild(this.listElement);
+    body.appendChild(this.previewElement);
+    this.element.appendChild(body);
+
+    this.disposables.add(
+      editor.onDidCreateCheckpoint(() => this.refresh()),
+      editor.onDidChangePath(() => {
+        this.emitter.emit("did-change-title");
+        this.refresh();
+      }),
+      editor.onDidDestroy(() => this.destroy()),
+    );
+    this.refresh();
+  }
+
+  async refresh() {
+    const notebookPath = this.editor.getPath();
+    this.checkpoints = notebookPath ? await listCheckpoints(notebookPath) : [];
+    if (!this.element) return;
+
+    const selectedPath = this.selected?.path;
+    this.listElement.innerHTML = "";
+    for (const checkpoint of this.checkpoints) {
+      const item = createElement("li", "list-item checkpoint-item");
+      item.appendChild(createElement("span", "checkpoint-time", checkpoint.time.toLocaleString()));
+      if (checkpoint.jupyter) {
+        item.appendChild(createElement("span", "badge badge-small checkpoint-badge", "Jupyter"));
+      }
+      item.title = path.basename(checkpoint.path);
+      item.addEventListener("click", () => this.select(checkpoint));
+      checkpoint.element = item;
+      this.listElement.appendChild(item);
+    }
+
+    if (this.checkpoints.length === 0) {
+      this.listElement.appendChild(createElement("li", "checkpoint-empty", "No checkpoints yet"));
+      this.select(null);
+      return;
+    }
+    const selected =
+      this.checkpoints.find((checkpoint) => checkpoint.path === selectedPath) ||
+      this.checkpoints[0];
+    await this.select(selected);
+  }
+
+  async select(checkpoint) {
+    this.selected = checkpoint;
+    this.selectedNotebook = null;
+    for (const item of this.checkpoints) {
+      item.element?.classList.toggle("selected", item === checkpoint);
+    }
+    this.clearPreview();
+    if (!checkpoint) return;
+
+    try {
+      this.selectedNotebook = await readCheckpoint(checkpoint.path);
+    } catch (error) {
+      this.previewElement.appendChild(
+        createElement("div", "checkpoint-error", `Cannot read checkpoint: ${error.message}`),
+      );
+      return;
+    }
+    if (this.selected === checkpoint && this.element) this.renderPreview();
+  }
+
+  clearPreview() {
+    for (const outputView of this.outputViews) outputView.destroy();
+    this.outputViews = [];
+    this.previewElement.innerHTML = "";
+  }
+
+  renderPreview() {
+    const notebook = this.selectedNotebook;
+    const actions = createElement("div", "checkpoint-actions btn-toolbar");
+    actions.appendChild(
+      createButton("Diff with Current", "icon-diff", () => {
+        const label = `Checkpoint ${this.selected.time.toLocaleString()}`;
+        this.editor.diffWithCheckpoint(notebook, label);
+      }),
+    );
+    actions.appendChild(
+      createButton("Restore", "icon-history", () => {
+        this.editor.restoreCheckpoint(notebook);
+        atom.workspace.paneForItem(this.editor)?.activateItem(this.editor);
+      }),
+    );
+    actions.appendChild(createButton("Delete", "icon-trashcan", () => this.delete()));
+    this.previewElement.appendChild(actions);
+
+    const language = getNotebookLanguage(notebook.metadata || {});
+    const OutputViewClass = getOutputView();
+    // Checkpoints may come from elsewhere (Jupyter, a cloned repository), so
+    // their outputs are sanitized unless the checkpoint itself is signed.
+    const trusted = isSignatureTrusted(getNotebookSignature(notebook));
+    for (const cell of notebook.cells || []) {
+      const source = asText(cell.source);
+      const cellElement = createElement("div", `checkpoint-cell checkpoint-cell-${cell.cell_type}`);
+      if (cell.cell_type === "code") {
+        const prompt = createElement(
+          "div",
+          "checkpoint-prompt",
+          `[${cell.execution_count || " "}]`,
+        );
+        const code = createElement("pre", "checkpoint-code");
+        code.innerHTML = highlightCode(source, language);
+        cellElement.appendChild(prompt);
+        cellElement.appendChild(code);
+        if (cell.outputs?.length > 0) {
+          const outputView = new OutputViewClass({
+            outputs: cell.outputs,
+            trusted,
+            notebook: this.editor.document,
+          });
+          this.outputViews.push(outputView);
+          cellElement.appendChild(outputView.element);
+        }
+      } else if (cell.cell_type === "markdown") {
+        const markdown = createElement("div", "markdown-rendered");
+        markdown.innerHTML = renderMarkdown(source, { attachments: cell.attachments });
+        cellElement.appendChild(markdown);
+      } else {
+        cellElement.appendChild(createElement("pre", "checkpoint-raw", source));
+      }
+      this.previewElement.appendChild(cellElement);
+    }
+  }
+
+  async delete() {
+    const checkpoint = this.selected;
+    if (!checkpoint) return;
+    const choice = atom.confirm({
+      message: "Delete this checkpoint?",
+      detail: checkpoint.time.toLocaleString(),
+      buttons: ["Delete", "Cancel"],
+    });
+    if (choice !== 0) return;
+    try {
+      await deleteCheckpoint(checkpoint.path);
+    } catch (error) {
+      atom.notifications.addError("Failed to delete checkpoint", {
+        detail: error.message,
+        dismissable: true,
+      });
+    }
+    this.selected = null;
+    await this.refresh();
+  }
+
+  getTitle() {
+    return `Checkpoints: ${this.editor.getTitle()}`;
+  }
+
+  getIconName() {
+    return "history";
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  onDidChangeTitle(callback) {
+    return this.emitter.on("did-change-title", callback);
+  }
+
+  onDidDestroy(callback) {
+    return this.emitter.on("did-destroy", callback);
+  }
+
+  destroy() {
+    if (!this.element) return;
+    this.clearPreview();
+    this.disposables.dispose();
+    this.element.remove();
+    this.element = null;
+    this.emitter.emit("did-destroy");
+    this.emitter.dispose();
+  }
+}
+
+module.exports = CheckpointBrowser;
@@ -0,0 +1,160 @@
+/**
+ * ExecutionQueue - the cells of one notebook waiting for or in execution.
+ *
+ * hydrogen-next takes all targets of a run at once (see
+ * JupyterHydrogenAdapter.getRunTargets) and executes them one after another.
+ * Collecting the targets only creates a run: hydrogen-next may still give up
+ * (e.g. no kernel), so its cells are queued when the first of them begins.
+ * They then wait in the queue until their own execution begins, so they can
+ * show as queued. A cell dequeued from a run, or cancelled because an
+ * earlier cell failed, stays "cancelled" in that run so its run target
+ * reports itself as not executable.
+ */
+
+const { Emitter } = require("atom");
+
+class ExecutionQueue {
+  constructor() {
+    this.emitter = new Emitter();
+    this.queued = []; // cell ids, in run order
+    this.running = new Set();
+    this.queuedRuns = new Map(); // queued cell id -> its run
+    this.cancelled = new Map(); // cancelled cell id -> its run
+  }
+
+  /**
+   * A run of cells. Nothing is queued until the run begins (see start), so a
+   * run that never does leaves nothing behind.
+   * @param {string[]} cellIds
+   * @returns {{cellIds: string[], started: boolean}}
+   */
+  createRun(cellIds) {
+    return { cellIds: cellIds.slice(), started: false };
+  }
+
+  /**
+   * Queue cells for a run; cells already queued or running keep their place.
+   * @param {string[]} cellIds
+   * @param {Object} run - See createRun
+   */
+  enqueue(cellIds, run) {
+    let changed = false;
+    for (const cellId of cellIds) {
+      if (this.running.has(cellId) || this.queued.includes(cellId)) continue;
+      this.cancelled.delete(cellId);
+      this.queued.push(cellId);
+      this.queuedRuns.set(cellId, run);
+      changed = true;
+    }
+    if (changed) this.emitter.emit("did-change");
+  }
+
+  /**
+   * The execution of a cell began. The first cell of a run to begin queues
+   * the rest of it.
+   * @param {string} cellId
+   * @param {Object} [run] - See createRun
+   */
+  start(cellId, run = null) {
+    if (run && !run.started) {
+      run.started = true;
+      this.enqueue(run.cellIds, run);
+    }
+    this.cancelled.delete(cellId);
+    const wasQueued = this._remove(cellId);
+    if (!wasQueued && this.running.has(cellId)) return;
+    this.running.add(cellId);
+    this.emitter.emit("did-change");
+  }
+
+  // The execution of a cell ended, or was cancelled or skipped.
+  finish(cellId) {
+    const wasRunning = this.running.delete(cellId);
+    const wasQueued = this._remove(cellId);
+    if (wasRunning || wasQueued) this.emitter.emit("did-change");
+  }
+
+  // The execution of a cell failed (see stopOnError).
+  fail(cellId) {
+    this.finish(cellId);
+    return this.stopOnError();
+  }
+
+  /**
+   * Like Jupyter's stop-on-error, cancel the cells still queued after a cell
+   * failed, unless the `execution.stopOnError` setting is off.
+   * @returns {string[]} The ids of the cancelled cells
+   */
+  stopOnError() {
+    if (atom.config.get("jupyter-next.execution.stopOnError") === false) return [];
+    return this.cancelAll();
+  }
+
+  /**
+   * Take a queued cell out of its run.
+   * @returns {boolean} Whether the cell was queued
+   */
+  dequeue(cellId) {
+    const run = this.queuedRuns.get(cellId);
+    if (!this._remove(cellId)) return false;
+    this.cancelled.set(cellId, run);
+    this.emitter.emit("did-change");
+    return true;
+  }
+
+  /**
+   * Cancel every queued cell.
+   * @returns {string[]} The ids of the cancelled cells
+   */
+  cancelAll() {
+    const cancelled = this.queued;
+    if (cancelled.length === 0) return [];
+    for (const cellId of cancelled) this.cancelled.set(cellId, this.queuedRuns.get(cellId));
+    this.queued = [];
+    this.queuedRuns.clear();
+    this.emitter.emit("did-change");
+    return cancelled;
+  }
+
+  // Forget every run, e.g. when the kernel restarts or shuts down.
+  clear() {
+    const changed = this.queued.length > 0 || this.running.size > 0;
+    this.queued = [];
+    this.running.clear();
+    this.queuedRuns.clear();
+    this.cancelled.clear();
+    if (changed) this.emitter.emit("did-change");
+  }
+
+  isQueued(cellId) {
+    return this.queued.includes(cellId);
+  }
+
+  isRunning(cellId) {
+    return this.running.has(cellId);
+  }
+
+  // Whether a cell was dequeued or cancelled in `run`; other runs still
+  // execute it.
+  isCancelled(cellId, run) {
+    return !!run && this.cancelled.get(cellId) === run;
+  }
+
+  _remove(cellId) {
+    const index = this.queued.indexOf(cellId);
+    if (index === -1) return false;
+    this.queued.splice(index, 1);
+    this.queuedRuns.delete(cellId);
+    return true;
+  }
+
+  onDidChange(callback) {
+    return this.emitter.on("did-change", callback);
+  }
+
+  destroy() {
+    this.emitter.dispose();
+  }
+}
+
+module.exports = ExecutionQueue;
@@ -0,0 +1,125 @@
+/**
+ * Notebooks left with git conflict markers. Git merges `.ipynb` files as
+ * text, so a conflicted notebook isn't valid JSON; each side of the
+ * conflict is rebuilt from the markers and the two notebooks are merged
+ * cell by cell (see notebook-merge.js).
+ *
+ *   <<<<<<< HEAD
+ *      "x = 1"
+ *   ||||||| base        (only with merge.conflictStyle=diff3)
+ *      "x = 0"
+ *   =======
+ *      "x = 2"
+ *   >>>>>>> feature
+ */
+
+const { mergeNotebooks } = require("./notebook-merge");
+
+const OURS_MARKER = /^<{7}(?:\s+(.*))?$/;
+const BASE_MARKER = /^\|{7}(?:\s+(.*))?$/;
+const SEPARATOR = /^={7}$/;
+const THEIRS_MARKER = /^>{7}(?:\s+(.*))?$/;
+
+/**
+ * Whether `text` contains a git conflict block.
+ */
+function hasConflictMarkers(text) {
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex((line) => OURS_MARKER.test(line));
+  return start !== -1 && lines.slice(start + 1).some((line) => THEIRS_MARKER.test(line));
+}
+
+/**
+ * Split conflicted text into the texts of both sides (and of the common
+ * ancestor, when the conflict blocks carry it).
+ * @returns {{ours: string, theirs: string, base: string|null,
+ *   oursLabel: string, theirsLabel: string}}
+ */
+function splitConflictSides(text) {
+  const ours = [];
+  const theirs = [];
+  const base = [];
+  let hasBase = false;
+  let oursLabel = null;
+  let theirsLabel = null;
+  // "common", "ours", "base" or "theirs"
+  let section = "common";
+
+  for (const line of text.split(/\r?\n/)) {
+    let match;
+    if (section === "common" && (match = line.match(OURS_MARKER))) {
+      oursLabel = oursLabel ?? match[1] ?? null;
+      section = "ours";
+    } else if (section === "ours" && BASE_MARKER.test(line)) {
+      hasBase = true;
+      section = "base";
+    } else if ((section === "ours" || section === "base") && SEPARATOR.test(line)) {
+      section = "theirs";
+    } else if (section === "theirs" && (match = line.match(THEIRS_MARKER))) {
+      theirsLabel = theirsLabel ?? match[1] ?? null;
+      section = "common";
+    } else if (section === "common") {
+      ours.push(line);
+      theirs.push(line);
+      base.push(line);
+    } else if (section === "ours") {
+      ours.push(line);
+    } else if (section === "base") {
+      base.push(line);
+    } else {
+      theirs.push(line);
+    }
+  }
+  if (section !== "common") throw new Error("Unterminated git conflict block");
+
+  return {
+    ours: ours.join("\n"),
+    theirs: theirs.join("\n"),
+    base: hasBase ? base.join("\n") : null,
+    oursLabel: oursLabel || "ours",
+    theirsLabel: theirsLabel || "theirs",
+  };
+}
+
+function parseSide(text, label) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(
+      `The "${label}" side of the git conflict is not a valid notebook: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Rebuild both sides of a conflicted notebook and merge them.
+ * @param {string} text - Notebook file content with conflict markers
+ * @returns {Object} The mergeNotebooks result (with "ours" as mine), plus
+ *   `oursLabel` and `theirsLabel` from the markers, e.g. "HEAD" and a branch
+ */
+function resolveGitConflict(text) {
+  const sides = splitConflictSides(text);
+  const ours = parseSide(sides.ours, sides.oursLabel);
+  const theirs = parseSide(sides.theirs, sides.theirsLabel);
+  // A diff3 base that doesn't parse on its own is dropped, not fatal.
+  let base = null;
+  if (sides.base !== null) {
+    try {
+      base = JSON.parse(sides.base);
+    } catch (error) {
+      base = null;
+    }
+  }
+
+  return {
+    ...mergeNotebooks(base, ours, theirs),
+    oursLabel: sides.oursLabel,
+    theirsLabel: sides.theirsLabel,
+  };
+}
+
+module.exports = {
+  hasConflictMarkers,
+  resolveGitConflict,
+  splitConflictSides,
+};
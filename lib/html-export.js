@@ -0,0 +1,235 @@
+/**
+ * Standalone HTML export. Outputs are rendered by OutputView and markdown by
+ * the shared markdown renderer, so the page shows what the notebook shows;
+ * code is highlighted with Pulsar grammars and styled by the active syntax
+ * theme.
+ */
+
+const { escapeHtml, highlightCode } = require("./syntax-highlight");
+const { getKatexVersion, renderMarkdown } = require("./markdown-renderer");
+const { getNotebookLanguage } = require("./notebook-language");
+const { sanitizeHtml } = require("./notebook-trust");
+
+const PLOTLY_MIME = "application/vnd.plotly.v1+json";
+const VEGA_MIMES = ["application/vnd.vega.v5+json", "application/vnd.vega.v4+json"];
+const VEGALITE_MIMES = ["application/vnd.vegalite.v5+json", "application/vnd.vegalite.v4+json"];
+
+// Plotly and Vega charts are drawn by their libraries once the page loads.
+const PLOTLY_SCRIPTS = ["https://cdn.jsdelivr.net/npm/plotly.js-dist@3/plotly.js"];
+const VEGA_SCRIPTS = [
+  "https://cdn.jsdelivr.net/npm/vega@5",
+  "https://cdn.jsdelivr.net/npm/vega-lite@5",
+  "https://cdn.jsdelivr.net/npm/vega-embed@6",
+];
+
+const PAGE_STYLES = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; line-height: 1.5;
+  max-width: 980px; margin: 0 auto; padding: 24px; color: #24292f; background: #fff; }
+.cell { margin: 12px 0; }
+.prompt { color: #6e7781; font-family: monospace; font-size: 12px; margin-bottom: 2px; }
+.highlight { margin: 0; padding: 10px 12px; border-radius: 4px; overflow-x: auto;
+  font-family: Menlo, Consolas, "DejaVu Sans Mono", monospace; font-size: 13px; }
+.cell-outputs { padding: 6px 0 0 12px; }
+.jupyter-output { margin: 4px 0; overflow-x: auto; }
+.jupyter-output pre { margin: 0; white-space: pre-wrap; font-size: 13px; }
+.output-stderr { background: #fff5f5; }
+.output-error { color: #b31d28; }
+.output-image { max-width: 100%; }
+.output-html table, .markdown-rendered table { border-collapse: collapse; }
+.output-html th, .output-html td, .markdown-rendered th, .markdown-rendered td {
+  border: 1px solid #d0d7de; padding: 4px 8px; }
+.markdown-code { background: #f6f8fa; padding: 10px 12px; border-radius: 4px; overflow-x: auto; }
+.output-unsupported { color: #6e7781; font-style: italic; }
+`;
+
+let OutputView = null;
+
+function getOutputView() {
+  if (!OutputView) {
+    OutputView = require("./output-view");
+  }
+  return OutputView;
+}
+
+// JSON inside a <script> element must not be able to close it.
+function toScriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+function parseJson(value) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+// The syntax theme styles token classes under `atom-text-editor`; retarget
+// those rules to the exported code blocks and copy the editor colors.
+function collectSyntaxStyles() {
+  const rules = [];
+  const editor = document.querySelector("atom-text-editor");
+  if (editor) {
+    const style = getComputedStyle(editor);
+    rules.push(`.highlight { background: ${style.backgroundColor}; color: ${style.color}; }`);
+  }
+
+  for (const sheet of document.styleSheets) {
+    let cssRules;
+    try {
+      cssRules = sheet.cssRules;
+    } catch (error) {
+      continue;
+    }
+    for (const rule of cssRules || []) {
+      if (!rule.selectorText?.includes("syntax--")) continue;
+      rules.push(rule.cssText.replace(/atom-text-editor(\.editor)?|:host/g, ".highlight"));
+    }
+  }
+  return rules.join("\n");
+}
+
+class HtmlExport {
+  constructor(notebook, options) {
+    this.notebook = notebook;
+    this.options = options;
+    this.language = getNotebookLanguage(notebook.metadata || {});
+    this.usesPlotly = false;
+    this.usesVega = false;
+    this.chartCount = 0;
+  }
+
+  // Charts are drawn once attached, so the rendered container is still empty
+  // here (or a placeholder, without the charting library); swap it for a
+  // script that draws the chart on page load.
+  replaceChart(item, output) {
+    const data = output.data || {};
+    const container = item.querySelector(".output-plotly, .output-vega, .output-unsupported");
+    if (!container) return;
+    const id = `jupyter-chart-${this.chartCount++}`;
+
+    if (data[PLOTLY_MIME] != null) {
+      const figure = parseJson(data[PLOTLY_MIME]) || {};
+      this.usesPlotly = true;
+      container.outerHTML =
+        `<div class="output-plotly" id="${id}"></div>` +
+        `<script>Plotly.newPlot(${toScriptJson(id)}, ${toScriptJson(figure.data || [])}, ` +
+        `${toScriptJson(figure.layout || {})}, { responsive: true });</script>`;
+      return;
+    }
+
+    const mimeType = [...VEGALITE_MIMES, ...VEGA_MIMES].find((type) => data[type] != null);
+    if (mimeType) {
+      const mode = VEGALITE_MIMES.includes(mimeType) ? "vega-lite" : "vega";
+      this.usesVega = true;
+      container.outerHTML =
+        `<div class="output-vega" id="${id}"></div>` +
+        `<script>vegaEmbed(${toScriptJson(`#${id}`)}, ${toScriptJson(parseJson(data[mimeType]))}, ` +
+        `${toScriptJson({ mode, actions: false })});</script>`;
+    }
+  }
+
+  renderOutputs(cell) {
+    const OutputViewClass = getOutputView();
+    const outputView = new OutputViewClass({
+      outputs: cell.outputs,
+      trusted: this.options.trusted || cell.outputsTrusted,
+      notebook: this.notebook,
+    });
+    for (const item of outputView.element.querySelectorAll(".jupyter-output")) {
+      const output = cell.outputs[Number(item.dataset.outputIndex)];
+      if (output) this.replaceChart(item, output);
+    }
+    const html = outputView.element.innerHTML;
+    outputView.destroy();
+    return html;
+  }
+
+  renderCodeCell(cell) {
+    const parts = [];
+    if (!this.options.hideInputs && cell.inputVisible !== false) {
+      parts.push(`<div class="prompt">In [${cell.executionCount || " "}]:</div>`);
+      parts.push(
+        `<pre class="highlight"><code>${highlightCode(cell.source, this.language)}</code></pre>`,
+      );
+    }
+    if (!this.options.hideOutputs && cell.outputVisible !== false && cell.outputs?.length > 0) {
+      parts.push(`<div class="cell-outputs">${this.renderOutputs(cell)}</div>`);
+    }
+    return parts.length > 0 ? `<div class="cell code-cell">${parts.join("\n")}</div>` : "";
+  }
+
+  renderCell(cell) {
+    if (cell.type === "code") return this.renderCodeCell(cell);
+    if (cell.type === "markdown") {
+      const html = renderMarkdown(cell.source, { attachments: cell.attachments });
+      return `<div class="cell markdown-cell markdown-rendered">${html}</div>`;
+    }
+    // Raw cells only reach the page when they are meant as HTML.
+    if (cell.metadata?.raw_mimetype === "text/html") {
+      const html = this.options.trusted ? cell.source : sanitizeHtml(cell.source);
+      return `<div class="cell raw-cell">${html}</div>`;
+    }
+    return "";
+  }
+
+  render() {
+    const cells = [];
+    for (let i = 0; i < this.notebook.getCellCount(); i++) {
+      const html = this.renderCell(this.notebook.getCell(i));
+      if (html) cells.push(html);
+    }
+
+    const scripts = [
+      ...(this.usesPlotly ? PLOTLY_SCRIPTS : []),
+      ...(this.usesVega ? VEGA_SCRIPTS : []),
+    ].map((src) => `<script src="${src}"></script>`);
+    const title = escapeHtml(this.options.title || "Notebook");
+
+    const lines = [
+      "<!DOCTYPE html>",
+      "<html><head>",
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${title}</title>`,
+      `<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@${getKatexVersion()}/dist/katex.min.css">`,
+      ...scripts,
+      `<style>${PAGE_STYLES}\n${collectSyntaxStyles()}</style>`,
+      "</head><body>",
+      ...cells,
+    ];
+    if (this.options.embedNotebook) {
+      lines.push(
+        `<script type="application/x-ipynb+json" id="jupyter-notebook">${toScriptJson(
+          this.notebook.toJSON(),
+        )}</script>`,
+      );
+    }
+    lines.push("</body></html>");
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+/**
+ * Render a notebook as a standalone HTML page.
+ * @param {NotebookDocument} notebook
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @param {boolean} [options.trusted] - Render every stored output unsanitized
+ * @param {boolean} [options.hideInputs] - Leave out code cell sources
+ * @param {boolean} [options.hideOutputs] - Leave out code cell outputs
+ * @param {boolean} [options.embedNotebook] - Embed the notebook JSON in an
+ *   `application/x-ipynb+json` script element
+ * @returns {string}
+ */
+function exportToHtml(notebook, options = {}) {
+  return new HtmlExport(notebook, options).render();
+}
+
+module.exports = {
+  exportToHtml,
+};
@@ -30,6 +30,29 @@ function getCellEditor(editor, index) {
   return editor.getCellEditor(index + 1);
 }
 
+// Virtualized notebooks unmount off-screen cells; keep a run target's cell
+// (and its editor) alive from the start of its execution until it settles.
+// Keyed by cell id, as cells may move while a run goes on.
+function retainCellMount(editor, cellId) {
+  editor?.view?.retainCellMount?.(cellId);
+}
+
+function releaseCellMount(editor, cellId) {
+  editor?.view?.releaseCellMount?.(cellId);
+}
+
+function getExecutionQueue(editor) {
+  return editor?.document?.getExecutionQueue?.() || null;
+}
+
+// Unless hydrogen-next reports the kernel's state (see setKernelStatus),
+// the kernel is busy while it runs cells.
+function updateKernelStatus(editor) {
+  const queue = getExecutionQueue(editor);
+  if (!queue) return;
+  editor.document.setKernelStatus?.(queue.running.size > 0 ? "busy" : "idle", { inferred: true });
+}
+
 function emitNotebookChange(editor) {
   if (!editor?.document) return;
   editor.document.setModified?.(true);
@@ -91,7 +114,7 @@ class JupyterHydrogenAdapter {
   }
 
   setActiveTargetId(targetId) {
-    this.editor?.setActiveCell?.(targetId);
+    this.editor?.revealCell?.(targetId);
   }
 
   getSelectedTargetIds() {
@@ -101,9 +124,15 @@ class JupyterHydrogenAdapter {
   getRunTargetIds(scope = "selected") {
     const count = getCellCount(this.editor);
     const activeIndex = this.getActiveTargetId();
+    // Notebook run commands (e.g. Run Section) name their cells or scope for
+    // the run-cell command rather than changing the selection.
+    const pending = this.editor?.takePendingRunTargets?.() || null;
+    if (pending?.scope) scope = pending.scope;
     let indexes;
 
-    if (scope === "active") {
+    if (pending?.indexes) {
+      indexes = pending.indexes;
+    } else if (scope === "active") {
       indexes = [activeIndex];
     } else if (scope === "all") {
       indexes = Array.from({ length: count }, (_, index) => index);
@@ -123,29 +152,49 @@ class JupyterHydrogenAdapter {
   }
 
   getRunTargets(scope = "selected") {
-    return this.getRunTargetIds(scope)
+    const targets = this.getRunTargetIds(scope)
       .map((targetId) => this.getRunTarget(targetId))
       .filter(Boolean);
+    // The cells are queued once hydrogen-next begins the run (see
+    // ExecutionQueue.start), and wait until it begins each of them.
+    const run = getExecutionQueue(this.editor)?.createRun(
+      targets.filter((target) => target.type === "code").map((target) => target.cellId),
+    );
+    for (const target of targets) target.run = run || null;
+    return targets;
   }
 
   getRunTarget(targetId) {
     const cell = getCell(this.editor, targetId);
     if (!cell) return null;
     const isCode = cell.type === "code";
-    const editor = isCode ? getCellEditor(this.editor, targetId) : this.getKernelEditor(targetId);
-    if (!editor) return null;
+    if (!this.getKernelEditor(targetId)) return null;
+    const adapter = this;
+    const queue = getExecutionQueue(this.editor);
 
     return {
       id: targetId,
+      cellId: cell.id,
       index: targetId,
       kind: "jupyter-cell",
       type: cell.type,
-      executable: isCode,
+      run: null, // See getRunTargets
+      // Turns false when the cell is dequeued or its run is cancelled.
+      get executable() {
+        return isCode && !queue?.isCancelled(cell.id, this.run);
+      },
       source: isCode ? cell.source || "" : "",
-      editor,
-      grammar: isCode ? editor.getGrammar?.() || this.getKernelGrammar() : this.getKernelGrammar(),
+      // An off-screen code cell has no editor of its own until its execution
+      // begins and mounts it; until then this is a neighbouring one.
+      get editor() {
+        return adapter.getKernelEditor(targetId);
+      },
+      grammar:
+        (isCode && getCellEditor(this.editor, targetId)?.getGrammar?.()) || this.getKernelGrammar(),
       metadata: cell.metadata || {},
-      row: Math.max(0, editor.getLastBufferRow?.() || 0),
+      get row() {
+        return Math.max(0, this.editor?.getLastBufferRow?.() || 0);
+      },
     };
   }
 
@@ -187,21 +236,17 @@ class JupyterHydrogenAdapter {
   }
 
   setKernelSpec(kernelSpec) {
-    const document = this.editor?.document;
-    if (!document || !kernelSpec?.name) return;
-    if (!document.metadata) document.metadata = {};
-    document.metadata.kernelspec = {
-      display_name: kernelSpec.display_name || kernelSpec.name,
-      language: kernelSpec.language || document.metadata.kernelspec?.language || "",
-      name: kernelSpec.name,
-    };
-    if (kernelSpec.language) {
-      document.metadata.language_info = {
-        ...(document.metadata.language_info || {}),
-        name: kernelSpec.language,
-      };
-    }
-    emitNotebookChange(this.editor);
+    this.editor?.document?.setKernelSpec?.(kernelSpec);
+  }
+
+  /**
+   * Report the kernel's execution state, shown in the notebook toolbar.
+   * Until the first report, the state follows the cells being run.
+   * @param {"starting"|"idle"|"busy"|"dead"|null} status - null when no
+   *   kernel is running
+   */
+  setKernelStatus(status) {
+    this.editor?.document?.setKernelStatus?.(status);
   }
 
   getNextRunTarget(target) {
@@ -209,7 +254,10 @@ class JupyterHydrogenAdapter {
 
     const shouldFocusEditor = this.editor?.view?.getMode?.() === "edit";
     let nextTarget = null;
+    // Like stepping between cells, running moves past collapsed sections.
+    const hidden = this.editor?.getHiddenCellIndexes?.() || new Set();
     for (let index = target.id + 1; index < this.getTargetCount(); index++) {
+      if (hidden.has(index)) continue;
       const candidate = this.getRunTarget(index);
       if (candidate) {
         nextTarget = candidate;
@@ -261,6 +309,9 @@ class JupyterHydrogenAdapter {
     // that cannot report message timestamps.
     if (!this._executionStartTimes) this._executionStartTimes = new Map();
     this._executionStartTimes.set(target.id, performance.now());
+    retainCellMount(this.editor, target.cellId);
+    getExecutionQueue(this.editor)?.start(target.cellId, target.run);
+    updateKernelStatus(this.editor);
     updateRuntimeCellData(this.editor, () => {
       // Defer the output clear: keep previous outputs visible until either
       // (a) the first new output arrives (addOutput flushes the pending clear
@@ -276,6 +327,9 @@ class JupyterHydrogenAdapter {
 
   beginTargetExecution(target) {
     if (this.getTargetType(target.id) !== "code") return;
+    retainCellMount(this.editor, target.cellId);
+    getExecutionQueue(this.editor)?.start(target.cellId, target.run);
+    updateKernelStatus(this.editor);
     const cell = getCell(this.editor, target.id);
     cell?.setRunning?.();
     emitNotebookChange(this.editor);
@@ -283,6 +337,9 @@ class JupyterHydrogenAdapter {
 
   cancelTargetExecution(target) {
     if (this.getTargetType(target.id) !== "code") return;
+    releaseCellMount(this.editor, target.cellId);
+    getExecutionQueue(this.editor)?.finish(target.cellId);
+    updateKernelStatus(this.editor);
     updateRuntimeCellData(this.editor, () => {
       const cell = getCell(this.editor, target.id);
       if (!cell) return;
@@ -293,6 +350,9 @@ class JupyterHydrogenAdapter {
 
   failTargetExecution(target) {
     if (this.getTargetType(target.id) !== "code") return;
+    releaseCellMount(this.editor, target.cellId);
+    getExecutionQueue(this.editor)?.fail(target.cellId);
+    updateKernelStatus(this.editor);
     updateRuntimeCellData(this.editor, () => {
       const cell = getCell(this.editor, target.id);
       if (!cell) return;
@@ -301,7 +361,12 @@ class JupyterHydrogenAdapter {
     });
   }
 
-  skipTargetExecution() {}
+  skipTargetExecution(target) {
+    if (typeof target?.id !== "number") return;
+    releaseCellMount(this.editor, target.cellId);
+    getExecutionQueue(this.editor)?.finish(target.cellId);
+    updateKernelStatus(this.editor);
+  }
 
   appendTargetOutput(target, output) {
     if (this.getTargetType(target.id) !== "code") return;
@@ -315,6 +380,9 @@ class JupyterHydrogenAdapter {
       return;
     }
     if (!VALID_OUTPUT_TYPES.has(output?.output_type)) return;
+    // An error output comes with the kernel's error reply: stop the run as
+    // Jupyter does.
+    if (output.output_type === "error") getExecutionQueue(this.editor)?.stopOnError();
     updateRuntimeCellData(this.editor, () => {
       const cell = getCell(this.editor, target.id);
       if (!cell) return;
@@ -338,6 +406,9 @@ class JupyterHydrogenAdapter {
     const endTime = performance.now();
     const startTime = this._executionStartTimes?.get(target.id) ?? null;
     this._executionStartTimes?.delete(target.id);
+    releaseCellMount(this.editor, target.cellId);
+    getExecutionQueue(this.editor)?.finish(target.cellId);
+    updateKernelStatus(this.editor);
     updateRuntimeCellData(this.editor, () => {
       const cell = getCell(this.editor, target.id);
       if (!cell) return;
@@ -350,6 +421,27 @@ class JupyterHydrogenAdapter {
     });
   }
 
+  /**
+   * Route a kernel comm message (`comm_open`, `comm_msg` or `comm_close`) to
+   * the notebook's ipywidgets models.
+   * @param {Object} message - Jupyter message, or `{ msg_type, content }`
+   * @returns {boolean} Whether the message belonged to a widget
+   */
+  receiveCommMessage(message) {
+    const manager = this.editor?.document?.getWidgetManager?.();
+    return manager ? manager.handleCommMessage(message) : false;
+  }
+
+  /**
+   * Invoke `callback({ comm_id, data })` when a widget changes in the notebook
+   * and the kernel must receive a `comm_msg` for it.
+   * @returns {Disposable|null}
+   */
+  onDidSendCommMessage(callback) {
+    const manager = this.editor?.document?.getWidgetManager?.();
+    return manager ? manager.onDidSendCommMessage(callback) : null;
+  }
+
   focusTarget(target) {
     // Suppress the post-execution refocus when getNextRunTarget already moved
     // here at execution start and the user hasn't navigated away since.
@@ -2,7 +2,7 @@
  * JupyterNotebookEditor - Editor for Jupyter notebooks using React
  */
 
-const { Emitter, CompositeDisposable, Disposable, TextBuffer } = require("atom");
+const { Emitter, CompositeDisposable, Disposable, Range, TextBuffer } = require("atom");
 const path = require("path");
 
 const HISTORY_METADATA_KEY = "jupyter_next";
@@ -85,6 +85,9 @@ class JupyterNotebookEditor {
     // Clipboard for cut/copy/paste
     this.cellClipboard = null;
 
+    // The cells the next hydrogen-next run takes (see runCells)
+    this._pendingRunTargets = null;
+
     // Create a stable container element that ViewRegistry will cache.
     // We swap its contents between placeholder and view to work around
     // ViewRegistry's caching behavior (it caches getElement() result once).
@@ -129,6 +132,7 @@ class JupyterNotebookEditor {
             state.notebookData,
             {
               modified: true,
+              trusted: state.trusted === true,
             },
           );
           if (state.activeCellIndex !== undefined) {
@@ -141,7 +145,10 @@ class JupyterNotebookEditor {
           // Unsaved notebook - restore from serialized data
           const NotebookDocumentClass = getNotebookDocument();
           doc = new NotebookDocumentClass(null);
-          await doc.initializeFromData(state.notebookData);
+          await doc.initializeFromData(state.notebookData, {
+            trusted: state.trusted === true,
+            recoveryId: state.recoveryId,
+          });
           // Mark as modified since it's unsaved
           if (state.wasModified) {
             doc.setModified(true);
@@ -243,6 +250,26 @@ class JupyterNotebookEditor {
         this.emitter.emit("did-change-modified", this.document.isModified());
       }),
 
+      this.document.onDidChangeTrust(() => {
+        this.updateView();
+      }),
+
+      this.document.onDidChangeMergeConflicts(() => {
+        this.updateView();
+      }),
+
+      this.document.onDidChangeExecutionQueue(() => {
+        this.updateView();
+      }),
+
+      this.document.onDidChangeKernelStatus(() => {
+        this.updateView();
+      }),
+
+      this.document.onDidChangeValidation(() => {
+        this.requestSourceEditorLint();
+      }),
+
       this.document.onDidChangePath(() => {
         this.updateSourceEditorFromNotebook("path-change");
         this.emitter.emit("did-change-path", this.document.filePath);
@@ -949,6 +976,10 @@ class JupyterNotebookEditor {
           // _applyNotebookData when called with preserveRuntimeOutputs.
           data.execution_count = null;
           data.outputs = [];
+        } else if (cell.hasAttachments?.()) {
+          // Attachments are document content (pasted images), not runtime
+          // state, so they stay in the snapshot and follow undo/redo.
+          data.attachments = cell.attachments;
         }
 
         return data;
@@ -1193,6 +1224,46 @@ class JupyterNotebookEditor {
     return sorted[sorted.length - 1];
   }
 
+  /**
+   * Linter messages for the notebook's nbformat problems, on the backing
+   * source editor. Each repairable problem has a "Fix" solution.
+   */
+  getValidationLinterMessages() {
+    const file = this.sourceEditor?.getPath?.();
+    if (!this.document || !file) return [];
+    const { REPAIRS } = require("./notebook-validator");
+    const position = new Range([0, 0], [0, 0]);
+    return this.document.getValidationProblems().map((problem) => {
+      const location = { file, position };
+      if (problem.cellIndex != null) location.cell = problem.cellIndex + 1;
+      const message = {
+        severity: problem.severity,
+        location,
+        excerpt: `nbformat: ${problem.message}`,
+      };
+      if (problem.repair) {
+        message.solutions = [
+          {
+            title: REPAIRS[problem.repair],
+            position,
+            apply: () => this.repairNotebook(problem.repair),
+          },
+        ];
+      }
+      return message;
+    });
+  }
+
+  /**
+   * Apply an nbformat repair (see getValidationLinterMessages).
+   * @param {string} repair
+   */
+  repairNotebook(repair) {
+    if (!this.document) return;
+    this.prepareForNotebookOperation();
+    this.document.repairNotebook(repair);
+  }
+
   revealLinterMessage(message) {
     const index = this.getLinterMessageCellIndex(message);
     if (index < 0) return;
@@ -1203,7 +1274,7 @@ class JupyterNotebookEditor {
       pane.activate();
     }
 
-    this.setActiveCell(index);
+    this.revealCell(index);
 
     requestAnimationFrame(() => {
       if (!this.view) return;
@@ -1232,20 +1303,11 @@ class JupyterNotebookEditor {
     if (!this.document) return [];
     const headings = [];
     const visibleCellIndexes = this.getVisibleNavigationCellIndexes();
-    const regex = /^(#{1,6})\s+(.+)$/gm;
+    const { getMarkdownHeadings } = require("./notebook-sections");
     this.document.cells.forEach((cell, index) => {
       if (cell.type !== "markdown") return;
-      regex.lastIndex = 0;
-      let match;
-      while ((match = regex.exec(cell.source)) !== null) {
-        const cellRow = cell.source.slice(0, match.index).split("\n").length - 1;
-        headings.push({
-          text: match[2].trim(),
-          level: match[1].length,
-          classList: [],
-          cellIndex: index,
-          cellRow,
-        });
+      for (const { text, level, row } of getMarkdownHeadings(cell.source)) {
+        headings.push({ text, level, classList: [], cellIndex: index, cellRow: row });
       }
     });
     return buildNavigationTree(headings, this.activeCellIndex, visibleCellIndexes);
@@ -1261,7 +1323,7 @@ class JupyterNotebookEditor {
     if (mode !== "edit") {
       this.view?.clearSelection();
     }
-    this.setActiveCell(header.cellIndex);
+    this.revealCell(header.cellIndex);
     requestAnimationFrame(() => {
       if (!this.view) return;
       this.updateView();
@@ -1340,8 +1402,7 @@ class JupyterNotebookEditor {
     const visibleCellIndexes = new Set();
 
     this.document.cells.forEach((cell, index) => {
-      const cellView = this.view?.cellViews?.get(cell.id);
-      const element = cellView?.element;
+      const element = this.view?.getCellElement?.(index);
       if (!element) return;
 
       const rect = element.getBoundingClientRect();
@@ -1572,6 +1633,7 @@ class JupyterNotebookEditor {
             notebookData: this.document.toJSON(),
             activeCellIndex: this.activeCellIndex,
             wasModified: true,
+            trusted: this.document.isTrusted(),
           },
           sourceEditorState,
         );
@@ -1592,6 +1654,8 @@ class JupyterNotebookEditor {
           notebookData: this.document.toJSON(),
           activeCellIndex: this.activeCellIndex,
           wasModified: true,
+          trusted: this.document.isTrusted(),
+          recoveryId: this.document.recoveryId,
         },
         sourceEditorState,
       );
@@ -1685,6 +1749,35 @@ class JupyterNotebookEditor {
     };
   }
 
+  /**
+   * Write a copy of the notebook without outputs, execution counts and
+   * volatile metadata, whatever the save policy. The editor stays on its file.
+   */
+  async saveCleanCopyAs() {
+    if (!this.document) return;
+    const File = require("atom").File;
+    const { CLEAN_POLICY, applySavePolicy, serializeNotebook } = require("./save-policy");
+    this.flushPendingCellSourceChanges();
+
+    const { defaultPath } = this.getSaveDialogOptions();
+    const newPath = atom.showSaveDialogSync({
+      defaultPath: defaultPath.replace(/(\.ipynb)?$/i, "-clean.ipynb"),
+      filters: [{ name: "Jupyter Notebook", extensions: ["ipynb"] }],
+    });
+    if (!newPath) return;
+
+    try {
+      const notebook = applySavePolicy(this.document.toJSON(), CLEAN_POLICY);
+      await new File(newPath).write(serializeNotebook(notebook, CLEAN_POLICY));
+      atom.notifications.addSuccess(`Saved clean copy to ${path.basename(newPath)}`);
+    } catch (error) {
+      atom.notifications.addError("Failed to save clean copy", {
+        detail: error.message,
+        dismissable: true,
+      });
+    }
+  }
+
   // Cell operations
   getActiveCell() {
     if (!this.document) return null;
@@ -1700,6 +1793,38 @@ class JupyterNotebookEditor {
     }
   }
 
+  /**
+   * Make a cell active, expanding the collapsed sections that hide it. For
+   * jumps to a cell such as search matches, headings and linter messages;
+   * stepping from cell to cell skips hidden cells instead.
+   * @param {number} index
+   */
+  revealCell(index) {
+    if (!this.document) return;
+    this._expandSectionsAround(index);
+    this.setActiveCell(index);
+  }
+
+  // Indexes of the cells hidden in collapsed heading sections
+  getHiddenCellIndexes() {
+    const { getSections } = require("./notebook-sections");
+    return this.document ? getSections(this.document.cells).hidden : new Set();
+  }
+
+  _expandSectionsAround(index) {
+    const { getSectionRange } = require("./notebook-sections");
+    const cells = this.document.cells;
+    if (!this.getHiddenCellIndexes().has(index)) return;
+    const headings = [];
+    for (let i = index - 1; i >= 0; i--) {
+      if (cells[i].isHeadingCollapsed() && getSectionRange(cells, i)?.end > index) {
+        headings.push(i);
+      }
+    }
+    this.prepareForNotebookOperation();
+    this.document.setHeadingsCollapsed(headings, false);
+  }
+
   focusActiveCell() {
     if (this.view) {
       this.view.enterEditMode();
@@ -2062,6 +2187,7 @@ class JupyterNotebookEditor {
         outputs: cellData.outputs || [],
         executionCount: null, // Reset execution count for pasted cells
         metadata: cellData.metadata || {},
+        attachments: cellData.attachments,
       });
 
       this.document.cells.splice(startIndex + i, 0, newCell);
@@ -2156,29 +2282,391 @@ class JupyterNotebookEditor {
   toggleCellInput() {
     if (!this.document) return;
     this.prepareForNotebookOperation();
+    this.document.toggleCellInput(this.activeCellIndex);
+  }
 
-    // Get the cell and toggle its visibility
-    const cell = this.document.getCell(this.activeCellIndex);
-    if (!cell) return;
+  /**
+   * Collapse or expand the heading section of the active cell: the section
+   * it heads, or else the one it is in.
+   */
+  toggleSection() {
+    if (!this.document) return;
+    const { getSectionHeadingIndex } = require("./notebook-sections");
+    const index = getSectionHeadingIndex(this.document.cells, this.activeCellIndex);
+    if (index === -1) return;
+    this.setSectionCollapsed(index, !this.document.cells[index].isHeadingCollapsed());
+  }
+
+  /**
+   * Collapse or expand the section headed by the cell at `index`.
+   */
+  setSectionCollapsed(index, collapsed) {
+    if (!this.document) return;
+    this.prepareForNotebookOperation();
+    this.document.setHeadingsCollapsed([index], collapsed);
+    if (collapsed) this._activateVisibleCell();
+  }
 
-    // Toggle the model state
-    cell.inputVisible = !cell.inputVisible;
+  collapseAllSections() {
+    this._setAllSectionsCollapsed(true);
+  }
 
-    // Immediately update the DOM for instant feedback
-    if (this.view) {
-      const cellView = this.view.cellViews.get(cell.id);
-      if (cellView && cellView.element) {
-        const inputArea = cellView.element.querySelector(".cell-input");
-        if (inputArea) {
-          inputArea.style.display = cell.inputVisible ? "" : "none";
-        }
-      }
+  expandAllSections() {
+    this._setAllSectionsCollapsed(false);
+  }
+
+  _setAllSectionsCollapsed(collapsed) {
+    if (!this.document) return;
+    const { getHeadingLevel } = require("./notebook-sections");
+    const indexes = [];
+    this.document.cells.forEach((cell, index) => {
+      if (getHeadingLevel(cell) !== null) indexes.push(index);
+    });
+    this.prepareForNotebookOperation();
+    this.document.setHeadingsCollapsed(indexes, collapsed);
+    if (collapsed) this._activateVisibleCell();
+  }
+
+  // After collapsing, move the active cell out of hidden sections onto the
+  // heading that hides it.
+  _activateVisibleCell() {
+    const hidden = this.getHiddenCellIndexes();
+    let index = this.activeCellIndex;
+    while (index > 0 && hidden.has(index)) index--;
+    if (index !== this.activeCellIndex) this.setActiveCell(index);
+  }
+
+  /**
+   * Run the code cells at `indices` in one hydrogen-next run.
+   * @param {number[]} indices
+   */
+  runCells(indices) {
+    if (!this.document) return;
+    const codeIndices = indices.filter((index) => this.document.getCell(index)?.type === "code");
+    if (codeIndices.length === 0) return;
+    this._runWithHydrogen({ indexes: codeIndices });
+  }
+
+  /**
+   * Run every cell above the active cell.
+   */
+  runAllAbove() {
+    if (!this.document) return;
+    this._runWithHydrogen({ scope: "above" });
+  }
+
+  /**
+   * Run the active cell and every cell below it.
+   */
+  runAllBelow() {
+    if (!this.document) return;
+    this._runWithHydrogen({ scope: "below" });
+  }
+
+  /**
+   * The cells the next hydrogen-next run takes instead of the selection,
+   * once (see JupyterHydrogenAdapter.getRunTargetIds).
+   * @returns {{scope: string}|{indexes: number[]}|null}
+   */
+  takePendingRunTargets() {
+    const run = this._pendingRunTargets;
+    this._pendingRunTargets = null;
+    return run;
+  }
+
+  // Run cells through hydrogen-next's run-cell command, which takes its
+  // targets from `run` when it collects them, then or after awaiting e.g. a
+  // kernel start. `run` holds a run scope or the indexes of the cells.
+  _runWithHydrogen(run) {
+    if (!this.view) return;
+    this._pendingRunTargets = run;
+    const dispatched = atom.commands.dispatch(this.view.element, "hydrogen-next:run-cell");
+    const forget = () => {
+      if (this._pendingRunTargets === run) this._pendingRunTargets = null;
+    };
+    if (!dispatched) {
+      forget();
+      atom.notifications.addWarning("Running cells needs the hydrogen-next package");
+      return;
     }
+    // The command has collected its targets once its handlers settle.
+    Promise.resolve(dispatched).then(forget, forget);
+  }
 
-    // Mark document as modified
-    this.document.setModified(true);
-    this.updateSourceEditorFromNotebook("toggle-cell-input");
-    this.emitter.emit("did-change");
+  /**
+   * Run the selected cells, or the active cell.
+   */
+  runSelectedCells() {
+    const selectedIndices = this.view ? this.view.getSelectedCells() : [];
+    this.runCells(selectedIndices.length > 0 ? selectedIndices : [this.activeCellIndex]);
+  }
+
+  /**
+   * Run every cell of the active cell's heading section, hidden ones
+   * included.
+   */
+  runSection() {
+    if (!this.document) return;
+    const { getSectionHeadingIndex, getSectionRange } = require("./notebook-sections");
+    const cells = this.document.cells;
+    const range = getSectionRange(cells, getSectionHeadingIndex(cells, this.activeCellIndex));
+    if (!range) {
+      atom.notifications.addInfo("The active cell is not in a heading section");
+      return;
+    }
+    this.runCells(
+      Array.from({ length: range.end - range.start }, (_, offset) => range.start + offset),
+    );
+  }
+
+  /**
+   * Take the cell at `index` out of the queued run.
+   */
+  dequeueCell(index) {
+    const cell = this.document?.getCell(index);
+    if (cell) this.document.getExecutionQueue().dequeue(cell.id);
+  }
+
+  /**
+   * Take the selected cells, or the active cell, out of the queued run.
+   */
+  dequeueCells() {
+    if (!this.document) return;
+    const selectedIndices = this.view ? this.view.getSelectedCells() : [];
+    const indices = selectedIndices.length > 0 ? selectedIndices : [this.activeCellIndex];
+    for (const index of indices) this.dequeueCell(index);
+  }
+
+  /**
+   * Open the kernel picker (see kernel-picker.js).
+   */
+  showKernelPicker() {
+    if (!this.document) return;
+    const KernelPicker = require("./kernel-picker");
+    return new KernelPicker(this);
+  }
+
+  /**
+   * Change the notebook's kernel. Cells pick up the grammar of the new
+   * language as the view updates (CellView.applyGrammar).
+   * @param {{name: string, display_name?: string, language?: string}} kernelSpec
+   */
+  setKernelSpec(kernelSpec) {
+    if (!this.document) return;
+    this.prepareForNotebookOperation();
+    this.document.setKernelSpec(kernelSpec);
+  }
+
+  /**
+   * Trust the notebook after confirmation, so its HTML and SVG outputs
+   * render without sanitizing and the file is signed on save.
+   */
+  trustNotebook() {
+    if (!this.document) return;
+    if (this.document.isTrusted()) {
+      atom.notifications.addInfo("Notebook is already trusted");
+      return;
+    }
+
+    const choice = atom.confirm({
+      message: `Trust ${this.getTitle()}?`,
+      detail:
+        "A trusted notebook renders its stored HTML and SVG outputs without sanitizing, " +
+        "which lets it run code in Pulsar. Only trust notebooks from sources you trust.",
+      buttons: ["Trust", "Cancel"],
+    });
+    if (choice !== 0) return;
+
+    this.document.trust();
+  }
+
+  /**
+   * Show what the editor changed relative to the notebook file on disk.
+   */
+  async diffWithSaved() {
+    if (!this.document) return;
+    const filePath = this.document.getPath();
+    if (!filePath) {
+      atom.notifications.addWarning("The notebook has not been saved yet");
+      return;
+    }
+
+    try {
+      const content = await this.document.file.read(true);
+      await this._openDiff(JSON.parse(content), "Saved");
+    } catch (error) {
+      atom.notifications.addError("Failed to diff notebook with the saved file", {
+        detail: error.message,
+        dismissable: true,
+      });
+    }
+  }
+
+  /**
+   * Show what the editor changed relative to a git revision of the notebook.
+   * @param {string} [revision="HEAD"]
+   */
+  async diffWithGitRevision(revision = "HEAD") {
+    if (!this.document) return;
+    const filePath = this.document.getPath();
+    if (!filePath) {
+      atom.notifications.addWarning("The notebook has not been saved yet");
+      return;
+    }
+
+    try {
+      const content = await this._readGitRevision(filePath, revision);
+      await this._openDiff(JSON.parse(content), revision);
+    } catch (error) {
+      atom.notifications.addError(`Failed to diff notebook with ${revision}`, {
+        detail: error.message,
+        dismissable: true,
+      });
+    }
+  }
+
+  _readGitRevision(filePath, revision) {
+    const { execFile } = require("child_process");
+    return new Promise((resolve, reject) => {
+      execFile(
+        "git",
+        ["show", `${revision}:./${path.basename(filePath)}`],
+        { cwd: path.dirname(filePath), maxBuffer: 512 * 1024 * 1024 },
+        (error, stdout, stderr) => {
+          if (error) reject(new Error(stderr.trim() || error.message));
+          else resolve(stdout);
+        },
+      );
+    });
+  }
+
+  /**
+   * Store the notebook as it is in the editor as a checkpoint in the
+   * `.ipynb_checkpoints` directory next to the file.
+   */
+  async createCheckpoint() {
+    if (!this.document) return;
+    const filePath = this.document.getPath();
+    if (!filePath) {
+      atom.notifications.addWarning("Save the notebook before creating a checkpoint", {
+        dismissable: true,
+      });
+      return;
+    }
+
+    const { createCheckpoint } = require("./notebook-checkpoints");
+    this.flushPendingCellSourceChanges();
+    try {
+      const checkpoint = await createCheckpoint(filePath, this.document.toJSON());
+      this.emitter.emit("did-create-checkpoint", checkpoint);
+      atom.notifications.addSuccess(`Checkpoint created at ${checkpoint.time.toLocaleString()}`);
+    } catch (error) {
+      atom.notifications.addError("Failed to create checkpoint", {
+        detail: error.message,
+        dismissable: true,
+      });
+    }
+  }
+
+  /**
+   * Open the checkpoint browser of this notebook.
+   */
+  browseCheckpoints() {
+    if (!this.document) return;
+    if (!this.document.getPath()) {
+      atom.notifications.addWarning("The notebook has not been saved yet");
+      return;
+    }
+    const CheckpointBrowser = require("./checkpoint-browser");
+    return atom.workspace.open(new CheckpointBrowser(this), { split: "right" });
+  }
+
+  /**
+   * Replace the notebook with a checkpoint. Undo brings the previous content
+   * back.
+   * @param {Object} notebook - nbformat JSON of the checkpoint
+   */
+  restoreCheckpoint(notebook) {
+    if (!this.document) return;
+    this.prepareForNotebookOperation();
+    this.document.replaceNotebook(notebook);
+  }
+
+  /**
+   * Show what the editor changed relative to a checkpoint.
+   * @param {Object} notebook - nbformat JSON of the checkpoint
+   * @param {string} label - Column heading of the checkpoint
+   */
+  diffWithCheckpoint(notebook, label) {
+    if (!this.document) return;
+    return this._openDiff(notebook, label);
+  }
+
+  _openDiff(oldNotebook, oldLabel) {
+    const NotebookDiffView = require("./notebook-diff-view");
+    this.flushPendingCellSourceChanges();
+    const view = new NotebookDiffView({
+      title: `${this.getTitle()} (${oldLabel} ↔ Editor)`,
+      oldLabel,
+      newLabel: "Editor",
+      oldNotebook,
+      newNotebook: this.document.toJSON(),
+    });
+    return atom.workspace.open(view, { split: "right" });
+  }
+
+  /**
+   * Resolve the merge conflict of a cell whose disk changes conflict with
+   * unsaved edits.
+   * @param {string} cellId
+   * @param {"mine"|"theirs"|"both"} resolution
+   */
+  resolveMergeConflict(cellId, resolution) {
+    if (!this.document) return;
+    this.prepareForNotebookOperation();
+    this.document.resolveMergeConflict(cellId, resolution);
+  }
+
+  /**
+   * Pair the notebook with a percent-format script in its language (jupytext's
+   * `metadata.jupytext.formats`), or unpair it. A paired script is rewritten
+   * on every save, and its external edits are merged back into the notebook.
+   */
+  togglePercentScriptPairing() {
+    if (!this.document) return;
+    if (!this.document.getPath()) {
+      atom.notifications.addWarning("Save the notebook before pairing it with a script", {
+        dismissable: true,
+      });
+      return;
+    }
+
+    const { getLanguageSyntax } = require("./notebook-language");
+    const { getPairedExtension, withPairedExtension } = require("./notebook-pairing");
+    this.prepareForNotebookOperation();
+    const metadata = this.document.metadata || {};
+    const extension =
+      getPairedExtension(metadata) === null ? getLanguageSyntax(metadata).extension : null;
+    this.document.setMetadata(withPairedExtension(metadata, extension));
+
+    const scriptPath = this.document.getPairedScriptPath();
+    if (scriptPath) {
+      atom.notifications.addInfo(`Paired with ${path.basename(scriptPath)}`, {
+        detail: "The script is written when the notebook is saved.",
+      });
+    } else {
+      atom.notifications.addInfo("Notebook is no longer paired with a script");
+    }
+  }
+
+  /**
+   * Store an image (or any MIME bundle) as an attachment of a markdown cell.
+   * @returns {string|null} The attachment name to reference as `attachment:<name>`
+   */
+  addCellAttachment(index, name, bundle) {
+    if (!this.document) return null;
+    this.prepareForNotebookOperation();
+    return this.document.addCellAttachment(index, name, bundle);
   }
 
   updateCellSource(index, source) {
@@ -2220,37 +2708,36 @@ class JupyterNotebookEditor {
   }
 
   // Export functions
-  async exportToPython() {
+
+  /**
+   * Export as a percent-format script in the notebook's language, with that
+   * language's extension, comment syntax and shebang.
+   */
+  async exportToScript() {
     if (!this.document) return;
-    const lines = [];
     const File = require("atom").File;
-
-    lines.push("#!/usr/bin/env python");
-    lines.push("# -*- coding: utf-8 -*-");
-    lines.push("");
-    lines.push(`# Exported from: ${this.getTitle()}`);
-    lines.push("");
-
-    for (let i = 0; i < this.document.getCellCount(); i++) {
-      const cell = this.document.getCell(i);
-      if (cell.type === "code") {
-        lines.push(`# In[${cell.executionCount || i + 1}]:`);
-        lines.push(cell.source);
-        lines.push("");
-      } else if (cell.type === "markdown") {
-        lines.push("# " + cell.source.split("\n").join("\n# "));
-        lines.push("");
-      }
-    }
-
-    const content = lines.join("\n");
+    const { getLanguageSyntax } = require("./notebook-language");
+    const { exportPercentScript } = require("./percent-script");
+
+    const syntax = getLanguageSyntax(this.document.metadata || {});
+    // Percent format keeps cell boundaries, types and tags, so the script can
+    // be imported back (jupyter-next:import-percent-script).
+    const content = exportPercentScript(this.document.toJSON(), {
+      comment: syntax.comment,
+      shebang: syntax.shebang,
+    });
     const defaultPath = this.document.filePath
-      ? this.document.filePath.replace(".ipynb", ".py")
-      : "Untitled.py";
+      ? this.document.filePath.replace(/\.ipynb$/i, `.${syntax.extension}`)
+      : `Untitled.${syntax.extension}`;
 
     const newPath = atom.showSaveDialogSync({
       defaultPath,
-      filters: [{ name: "Python", extensions: ["py"] }],
+      filters: [
+        {
+          name: this.document.metadata?.language_info?.name || syntax.language,
+          extensions: [syntax.extension],
+        },
+      ],
     });
 
     if (newPath) {
@@ -2260,79 +2747,53 @@ class JupyterNotebookEditor {
     }
   }
 
-  async exportToHtml() {
+  // Kept for existing key bindings; exports in the notebook's language.
+  exportToPython() {
+    return this.exportToScript();
+  }
+
+  async exportToMarkdown() {
     if (!this.document) return;
     const File = require("atom").File;
-    const lines = [];
-
-    lines.push("<!DOCTYPE html>");
-    lines.push("<html><head>");
-    lines.push('<meta charset="utf-8">');
-    lines.push(`<title>${this.getTitle()}</title>`);
-    lines.push("<style>");
-    lines.push(
-      "body { font-family: sans-serif; max-width: 900px; margin: 0 auto; padding: 20px; }",
-    );
-    lines.push(".cell { margin: 10px 0; border: 1px solid #ddd; border-radius: 4px; }");
-    lines.push(
-      ".cell-code { background: #f5f5f5; padding: 10px; font-family: monospace; white-space: pre-wrap; }",
-    );
-    lines.push(".cell-markdown { padding: 10px; }");
-    lines.push(".cell-output { padding: 10px; border-top: 1px solid #ddd; background: #fff; }");
-    lines.push(".execution-count { color: #888; font-size: 12px; padding: 5px 10px; }");
-    lines.push("</style>");
-    lines.push("</head><body>");
-    lines.push(`<h1>${this.getTitle()}</h1>`);
-
-    for (let i = 0; i < this.document.getCellCount(); i++) {
-      const cell = this.document.getCell(i);
-      lines.push('<div class="cell">');
-
-      if (cell.type === "code") {
-        if (cell.executionCount) {
-          lines.push(`<div class="execution-count">In [${cell.executionCount}]:</div>`);
-        }
-        lines.push(`<div class="cell-code">${this.escapeHtml(cell.source)}</div>`);
-
-        if (cell.outputs && cell.outputs.length > 0) {
-          lines.push('<div class="cell-output">');
-          cell.outputs.forEach((output) => {
-            if (output.text) {
-              lines.push(
-                `<pre>${this.escapeHtml(
-                  Array.isArray(output.text) ? output.text.join("") : output.text,
-                )}</pre>`,
-              );
-            } else if (output.data) {
-              if (output.data["text/html"]) {
-                lines.push(
-                  Array.isArray(output.data["text/html"])
-                    ? output.data["text/html"].join("")
-                    : output.data["text/html"],
-                );
-              } else if (output.data["text/plain"]) {
-                lines.push(
-                  `<pre>${this.escapeHtml(
-                    Array.isArray(output.data["text/plain"])
-                      ? output.data["text/plain"].join("")
-                      : output.data["text/plain"],
-                  )}</pre>`,
-                );
-              }
-            }
-          });
-          lines.push("</div>");
+    const fs = require("fs");
+    const { exportToMarkdown } = require("./notebook-export");
+
+    const defaultPath = this.document.filePath
+      ? this.document.filePath.replace(".ipynb", ".md")
+      : "Untitled.md";
+
+    const newPath = atom.showSaveDialogSync({
+      defaultPath,
+      filters: [{ name: "Markdown", extensions: ["md"] }],
+    });
+    if (!newPath) return;
+
+    // Images go to a sibling `<name>_files` folder, as nbconvert does.
+    const filesDirectory = `${path.basename(newPath, path.extname(newPath))}_files`;
+    try {
+      const { markdown, files } = exportToMarkdown(this.document, { filesDirectory });
+      if (files.size > 0) {
+        const filesPath = path.join(path.dirname(newPath), filesDirectory);
+        await fs.promises.mkdir(filesPath, { recursive: true });
+        for (const [name, content] of files) {
+          await fs.promises.writeFile(path.join(filesPath, name), content);
         }
-      } else if (cell.type === "markdown") {
-        lines.push(`<div class="cell-markdown">${cell.source}</div>`);
       }
-
-      lines.push("</div>");
+      await new File(newPath).write(markdown);
+      atom.notifications.addSuccess(`Exported to ${path.basename(newPath)}`);
+    } catch (error) {
+      atom.notifications.addError("Failed to export notebook to Markdown", {
+        detail: error.message,
+        dismissable: true,
+      });
     }
+  }
 
-    lines.push("</body></html>");
+  async exportToHtml() {
+    if (!this.document) return;
+    const File = require("atom").File;
+    const { exportToHtml } = require("./html-export");
 
-    const content = lines.join("\n");
     const defaultPath = this.document.filePath
       ? this.document.filePath.replace(".ipynb", ".html")
       : "Untitled.html";
@@ -2341,25 +2802,26 @@ class JupyterNotebookEditor {
       defaultPath,
       filters: [{ name: "HTML", extensions: ["html"] }],
     });
+    if (!newPath) return;
 
-    if (newPath) {
-      const file = new File(newPath);
-      await file.write(content);
+    try {
+      const content = exportToHtml(this.document, {
+        title: this.getTitle(),
+        trusted: this.document.isTrusted(),
+        hideInputs: atom.config.get("jupyter-next.export.hideInputs") === true,
+        hideOutputs: atom.config.get("jupyter-next.export.hideOutputs") === true,
+        embedNotebook: atom.config.get("jupyter-next.export.embedNotebook") === true,
+      });
+      await new File(newPath).write(content);
       atom.notifications.addSuccess(`Exported to ${path.basename(newPath)}`);
+    } catch (error) {
+      atom.notifications.addError("Failed to export notebook to HTML", {
+        detail: error.message,
+        dismissable: true,
+      });
     }
   }
 
-  escapeHtml(text) {
-    const map = {
-      "&": "&amp;",
-      "<": "&lt;",
-      ">": "&gt;",
-      '"': "&quot;",
-      "'": "&#039;",
-    };
-    return text.replace(/[&<>"']/g, (m) => map[m]);
-  }
-
   // Selection adjustment helpers
   // These adjust the view's selectedCells Set when cells are inserted/deleted/moved
 
@@ -2436,6 +2898,10 @@ class JupyterNotebookEditor {
     return this.emitter.on("did-change", callback);
   }
 
+  onDidCreateCheckpoint(callback) {
+    return this.emitter.on("did-create-checkpoint", callback);
+  }
+
   onDidSave(callback) {
     return this.emitter.on("did-save", callback);
   }
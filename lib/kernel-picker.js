@@ -0,0 +1,191 @@
+/**
+ * KernelPicker - modal list of the installed Jupyter kernels, from
+ * `jupyter kernelspec list --json`, for choosing the kernel a notebook is
+ * saved with (see JupyterNotebookEditor.setKernelSpec).
+ */
+
+const { CompositeDisposable, TextEditor } = require("atom");
+
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  if (className) element.className = className;
+  if (text != null) element.textContent = text;
+  return element;
+}
+
+/**
+ * The installed kernelspecs, by display name.
+ * @returns {Promise<Array<{name: string, display_name: string, language: string}>>}
+ */
+function listKernelSpecs() {
+  const { execFile } = require("child_process");
+  return new Promise((resolve, reject) => {
+    execFile(
+      "jupyter",
+      ["kernelspec", "list", "--json"],
+      { timeout: 30000 },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(stderr.trim() || error.message));
+          return;
+        }
+        try {
+          const { kernelspecs = {} } = JSON.parse(stdout);
+          const specs = Object.entries(kernelspecs).map(([name, { spec = {} }]) => ({
+            name,
+            display_name: spec.display_name || name,
+            language: spec.language || "",
+          }));
+          resolve(specs.sort((a, b) => a.display_name.localeCompare(b.display_name)));
+        } catch (parseError) {
+          reject(
+            new Error(`Unexpected output from jupyter kernelspec list: ${parseError.message}`),
+          );
+        }
+      },
+    );
+  });
+}
+
+class KernelPicker {
+  /**
+   * @param {JupyterNotebookEditor} editor - The notebook whose kernel is
+   *   chosen
+   */
+  constructor(editor) {
+    this.editor = editor;
+    this.kernelSpecs = [];
+    this.items = [];
+    this.selectedIndex = 0;
+    this.disposables = new CompositeDisposable();
+
+    this.element = createElement("div", "select-list jupyter-next jupyter-kernel-picker");
+    this.filterEditor = new TextEditor({ mini: true, placeholderText: "Filter kernels" });
+    this.element.appendChild(this.filterEditor.getElement());
+    this.messageElement = createElement("div", "kernel-picker-message", "Loading kernels…");
+    this.element.appendChild(this.messageElement);
+    this.listElement = createElement("ol", "list-group");
+    // Keep the focus in the filter editor, so clicking an item doesn't close
+    // the picker before the click lands.
+    this.listElement.addEventListener("mousedown", (event) => event.preventDefault());
+    this.element.appendChild(this.listElement);
+
+    this.disposables.add(
+      this.filterEditor.onDidChange(() => {
+        this.selectedIndex = 0;
+        this.renderList();
+      }),
+      atom.commands.add(this.element, {
+        "core:move-up": (event) => {
+          event.stopPropagation();
+          this.moveSelection(-1);
+        },
+        "core:move-down": (event) => {
+          event.stopPropagation();
+          this.moveSelection(1);
+        },
+        "core:confirm": () => this.confirm(this.items[this.selectedIndex]),
+        "core:cancel": () => this.destroy(),
+      }),
+    );
+    this.filterEditor.getElement().addEventListener("blur", () => this.destroy());
+
+    this.panel = atom.workspace.addModalPanel({ item: this.element, visible: true });
+    this.filterEditor.getElement().focus();
+    this.load();
+  }
+
+  async load() {
+    try {
+      this.kernelSpecs = await listKernelSpecs();
+      if (!this.element) return;
+      this.messageElement.textContent = "";
+    } catch (error) {
+      if (!this.element) return;
+      this.messageElement.textContent = `Cannot list kernels: ${error.message}`;
+    }
+
+    // The notebook's own kernel stays listed even when it isn't installed here.
+    const current = this.getCurrentKernelSpec();
+    if (current && !this.kernelSpecs.some((spec) => spec.name === current.name)) {
+      this.kernelSpecs.unshift(current);
+    }
+    this.selectedIndex = Math.max(
+      0,
+      this.kernelSpecs.findIndex((spec) => spec.name === current?.name),
+    );
+    this.renderList();
+  }
+
+  getCurrentKernelSpec() {
+    const kernelspec = this.editor.document?.metadata?.kernelspec;
+    if (!kernelspec?.name) return null;
+    return {
+      name: kernelspec.name,
+      display_name: kernelspec.display_name || kernelspec.name,
+      language: kernelspec.language || "",
+    };
+  }
+
+  renderList() {
+    const query = this.filterEditor.getText().trim().toLowerCase();
+    const currentName = this.getCurrentKernelSpec()?.name;
+    this.items = this.kernelSpecs.filter((spec) =>
+      `${spec.display_name} ${spec.name} ${spec.language}`.toLowerCase().includes(query),
+    );
+    this.selectedIndex = Math.min(this.selectedIndex, Math.max(0, this.items.length - 1));
+
+    this.listElement.innerHTML = "";
+    this.items.forEach((spec, index) => {
+      const item = createElement("li", "two-lines");
+      item.classList.toggle("selected", index === this.selectedIndex);
+      const primary = createElement("div", "primary-line", spec.display_name);
+      if (spec.name === currentName) {
+        primary.appendChild(
+          createElement("span", "badge badge-small kernel-picker-current", "Current"),
+        );
+      }
+      item.appendChild(primary);
+      item.appendChild(
+        createElement(
+          "div",
+          "secondary-line",
+          spec.language ? `${spec.name} · ${spec.language}` : spec.name,
+        ),
+      );
+      item.addEventListener("click", () => this.confirm(spec));
+      this.listElement.appendChild(item);
+    });
+    if (this.items.length === 0 && this.kernelSpecs.length > 0) {
+      this.listElement.appendChild(
+        createElement("li", "kernel-picker-empty", "No matching kernels"),
+      );
+    }
+  }
+
+  moveSelection(delta) {
+    if (this.items.length === 0) return;
+    this.selectedIndex = (this.selectedIndex + delta + this.items.length) % this.items.length;
+    this.renderList();
+    this.listElement.children[this.selectedIndex]?.scrollIntoView({ block: "nearest" });
+  }
+
+  confirm(spec) {
+    if (!spec) return;
+    const editor = this.editor;
+    this.destroy();
+    editor.setKernelSpec(spec);
+  }
+
+  destroy() {
+    if (!this.element) return;
+    // Destroying the panel blurs the filter editor, which destroys again.
+    this.element = null;
+    this.disposables.dispose();
+    this.panel.destroy();
+    this.filterEditor.destroy();
+    this.editor.view?.element?.focus?.();
+  }
+}
+
+module.exports = KernelPicker;
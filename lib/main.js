@@ -6,11 +6,22 @@ const path = require("path");
  * Provides notebook UI, navigation, and cell model editing within Pulsar.
  */
 
+// Commands after which the kernel no longer holds this session's comms.
+const KERNEL_RESET_COMMANDS = new Set([
+  "hydrogen-next:shutdown-kernel",
+  "hydrogen-next:restart-kernel",
+]);
+
+// Opens the Table of Contents dock item (table-of-contents.js)
+const TOC_URI = "atom://jupyter-next/table-of-contents";
+
 // Lazy-loaded modules
 let NotebookDocumentRegistry = null;
 let NotebookScrollmap = null;
 let HydrogenAdapterService = null;
 let NotebookSearchAdapter = null;
+let MimeRendererRegistry = null;
+let TableOfContents = null;
 
 function getNotebookDocumentRegistry() {
   if (!NotebookDocumentRegistry) {
@@ -33,6 +44,20 @@ function getHydrogenAdapterService() {
   return HydrogenAdapterService;
 }
 
+function getMimeRendererRegistry() {
+  if (!MimeRendererRegistry) {
+    MimeRendererRegistry = require("./mime-renderers");
+  }
+  return MimeRendererRegistry;
+}
+
+function getTableOfContents() {
+  if (!TableOfContents) {
+    TableOfContents = require("./table-of-contents");
+  }
+  return TableOfContents;
+}
+
 function getNotebookSearchAdapter() {
   if (!NotebookSearchAdapter) {
     NotebookSearchAdapter = require("./notebook-search");
@@ -108,8 +133,10 @@ module.exports = {
     this.disposables.add(
       atom.commands.add("atom-workspace", {
         "jupyter-next:toggle": () => this.toggle(),
+        "jupyter-next:toggle-table-of-contents": () => this.toggleTableOfContents(),
         "jupyter-next:new-notebook": () => this.newNotebook(),
         "jupyter-next:open-source": () => this.openSource(),
+        "jupyter-next:import-percent-script": () => this.importPercentScript(),
       }),
     );
 
@@ -133,8 +160,25 @@ module.exports = {
         "jupyter-next:change-cell-to-raw": () => this.changeCellType("raw"),
         "jupyter-next:toggle-cell-output": () => this.toggleCellOutput(),
         "jupyter-next:toggle-cell-input": () => this.toggleCellInput(),
+        "jupyter-next:toggle-section": () => this.toggleSection(),
+        "jupyter-next:collapse-all-sections": () => this.collapseAllSections(),
+        "jupyter-next:expand-all-sections": () => this.expandAllSections(),
+        "jupyter-next:run-all-above": () => this.runAllAbove(),
+        "jupyter-next:run-all-below": () => this.runAllBelow(),
+        "jupyter-next:run-selected-cells": () => this.runSelectedCells(),
+        "jupyter-next:run-section": () => this.runSection(),
+        "jupyter-next:dequeue-cell": () => this.dequeueCells(),
+        "jupyter-next:export-to-script": () => this.exportToScript(),
         "jupyter-next:export-to-python": () => this.exportToPython(),
         "jupyter-next:export-to-html": () => this.exportToHtml(),
+        "jupyter-next:export-to-markdown": () => this.exportToMarkdown(),
+        "jupyter-next:toggle-percent-script-pairing": () => this.togglePercentScriptPairing(),
+        "jupyter-next:diff-with-saved": () => this.diffWithSaved(),
+        "jupyter-next:diff-with-git-head": () => this.diffWithGitHead(),
+        "jupyter-next:create-checkpoint": () => this.createCheckpoint(),
+        "jupyter-next:browse-checkpoints": () => this.browseCheckpoints(),
+        "jupyter-next:trust-notebook": () => this.trustNotebook(),
+        "jupyter-next:select-kernel": () => this.selectKernel(),
         // Mode switching
         "jupyter-next:enter-edit-mode": () => this.enterEditMode(),
         "jupyter-next:enter-command-mode": (event) => this.enterCommandMode(event),
@@ -148,6 +192,7 @@ module.exports = {
         // Save
         "jupyter-next:save": () => this.save(),
         "jupyter-next:save-as": () => this.saveAs(),
+        "jupyter-next:save-clean-copy-as": () => this.saveCleanCopyAs(),
         // Undo/Redo notebook edits
         "jupyter-next:undo-cell-operation": () => this.undoCellOperation(),
         "jupyter-next:redo-cell-operation": () => this.redoCellOperation(),
@@ -274,15 +319,23 @@ module.exports = {
       }),
     );
 
-    // Clear cell timers when the active notebook's kernel is shut down.  Use
-    // onWillDispatch so we fire regardless of which package's handler ends
-    // up calling stopPropagation on the shutdown command.
+    // Clear cell timers when the active notebook's kernel is shut down, and
+    // live widgets when it is shut down or restarted.  Use onWillDispatch so
+    // we fire regardless of which package's handler ends up calling
+    // stopPropagation on the kernel command.
     this.disposables.add(
       atom.commands.onWillDispatch((event) => {
-        if (event?.type !== "hydrogen-next:shutdown-kernel") return;
+        if (!KERNEL_RESET_COMMANDS.has(event?.type)) return;
         const container = event.target?.closest?.(".jupyter-notebook-container");
         const notebook = container?._jupyterNotebookEditor || this.getActiveNotebook();
-        notebook?.document?.clearAllCellTimers?.();
+        if (event.type === "hydrogen-next:shutdown-kernel") {
+          notebook?.document?.clearAllCellTimers?.();
+          notebook?.document?.setKernelStatus?.(null, { inferred: true });
+        }
+        // The kernel's widget comms are gone; keep only saved widget state.
+        notebook?.document?.clearLiveWidgets?.();
+        // So are its pending executions.
+        notebook?.document?.getExecutionQueue?.().clear();
       }),
     );
 
@@ -299,6 +352,12 @@ module.exports = {
     // Register opener for .ipynb files
     this.registerWorkspaceOpener();
 
+    this.disposables.add(
+      atom.workspace.addOpener((uri) => {
+        if (uri === TOC_URI) return new (getTableOfContents())();
+      }),
+    );
+
     this.disposables.add(
       atom.workspace.onDidAddPaneItem(({ item }) => {
         this.trackNotebookEditor(item);
@@ -378,11 +437,17 @@ module.exports = {
     return editor;
   },
 
+  deserializeTableOfContents() {
+    return new (getTableOfContents())();
+  },
+
   // Service providers
   provideJupyter() {
     return {
       getActiveNotebook: () => this.getActiveNotebook(),
       getDocumentRegistry: () => this.getDocumentRegistry(),
+      registerMimeRenderer: (renderer) =>
+        getMimeRendererRegistry().getShared().addRenderer(renderer),
     };
   },
 
@@ -439,6 +504,17 @@ module.exports = {
     };
   },
 
+  // Reports nbformat problems of notebooks on their backing source editors
+  provideLinter() {
+    return {
+      name: "nbformat",
+      scope: "file",
+      lintsOnChange: false,
+      grammarScopes: ["source.jupyter"],
+      lint: (textEditor) => textEditor.jupyterNotebookEditor?.getValidationLinterMessages() || [],
+    };
+  },
+
   provideNavigationAdapter() {
     return {
       handlesItem: (item) => item?.constructor?.name === "JupyterNotebookEditor",
@@ -686,6 +762,68 @@ module.exports = {
     return selectedPath;
   },
 
+  /**
+   * Build a notebook from the percent-format script in the active text
+   * editor, to be saved next to it as `<name>.ipynb`.
+   */
+  async importPercentScript() {
+    const textEditor = atom.workspace.getActiveTextEditor();
+    const scriptPath = textEditor?.getPath();
+    if (!scriptPath) {
+      atom.notifications.addWarning("Open a percent-format script to import", {
+        dismissable: true,
+      });
+      return;
+    }
+
+    const notebookPath = path.join(
+      path.dirname(scriptPath),
+      `${path.basename(scriptPath, path.extname(scriptPath))}.ipynb`,
+    );
+    const registry = this.getDocumentRegistry();
+    if (registry.hasDocument(notebookPath)) {
+      atom.notifications.addWarning(`${path.basename(notebookPath)} is already open`, {
+        dismissable: true,
+      });
+      return;
+    }
+    if (require("fs").existsSync(notebookPath)) {
+      const choice = atom.confirm({
+        message: `Replace ${path.basename(notebookPath)}?`,
+        detail: "The imported notebook replaces the existing one when it is saved.",
+        buttons: ["Replace", "Cancel"],
+      });
+      if (choice !== 0) return;
+    }
+
+    let notebookData;
+    try {
+      const { getCommentForExtension } = require("./notebook-language");
+      const { importPercentScript } = require("./percent-script");
+      notebookData = importPercentScript(textEditor.getText(), {
+        comment: getCommentForExtension(path.extname(scriptPath)),
+      });
+    } catch (error) {
+      atom.notifications.addError("Failed to import script", {
+        detail: error.message,
+        dismissable: true,
+      });
+      return;
+    }
+
+    // The notebook is built from the user's own script and has no outputs.
+    const document = await registry.getOrCreateDocumentFromData(notebookPath, notebookData, {
+      modified: true,
+      trusted: true,
+    });
+    const JupyterNotebookEditor = require("./jupyter-notebook-editor");
+    const editor = new JupyterNotebookEditor(document);
+    this.trackNotebookEditor(editor);
+
+    atom.workspace.getActivePane().activateItem(editor);
+    return editor;
+  },
+
   async newNotebook() {
     const registry = this.getDocumentRegistry();
     const editor = await registry.buildEditor(null);
@@ -704,6 +842,10 @@ module.exports = {
     }
   },
 
+  toggleTableOfContents() {
+    return atom.workspace.toggle(TOC_URI);
+  },
+
   // Output operations
   clearOutput() {
     delegateToNotebook(this, "clearOutput");
@@ -748,14 +890,67 @@ module.exports = {
   toggleCellInput() {
     delegateToNotebook(this, "toggleCellInput");
   },
+  toggleSection() {
+    delegateToNotebook(this, "toggleSection");
+  },
+  collapseAllSections() {
+    delegateToNotebook(this, "collapseAllSections");
+  },
+  expandAllSections() {
+    delegateToNotebook(this, "expandAllSections");
+  },
+  runAllAbove() {
+    delegateToNotebook(this, "runAllAbove");
+  },
+  runAllBelow() {
+    delegateToNotebook(this, "runAllBelow");
+  },
+  runSelectedCells() {
+    delegateToNotebook(this, "runSelectedCells");
+  },
+  runSection() {
+    delegateToNotebook(this, "runSection");
+  },
+  dequeueCells() {
+    delegateToNotebook(this, "dequeueCells");
+  },
 
   // Export functions
+  exportToScript() {
+    delegateToNotebook(this, "exportToScript");
+  },
   exportToPython() {
     delegateToNotebook(this, "exportToPython");
   },
   exportToHtml() {
     delegateToNotebook(this, "exportToHtml");
   },
+  exportToMarkdown() {
+    delegateToNotebook(this, "exportToMarkdown");
+  },
+  togglePercentScriptPairing() {
+    delegateToNotebook(this, "togglePercentScriptPairing");
+  },
+
+  diffWithSaved() {
+    delegateToNotebook(this, "diffWithSaved");
+  },
+  diffWithGitHead() {
+    delegateToNotebook(this, "diffWithGitRevision", false, "HEAD");
+  },
+  createCheckpoint() {
+    delegateToNotebook(this, "createCheckpoint");
+  },
+  browseCheckpoints() {
+    delegateToNotebook(this, "browseCheckpoints");
+  },
+
+  trustNotebook() {
+    delegateToNotebook(this, "trustNotebook");
+  },
+  selectKernel() {
+    delegateToNotebook(this, "showKernelPicker");
+  },
 
   // Mode switching (delegate to view)
   enterEditMode() {
@@ -814,6 +1009,10 @@ module.exports = {
     }
   },
 
+  saveCleanCopyAs() {
+    delegateToNotebook(this, "saveCleanCopyAs");
+  },
+
   // Undo/Redo notebook edits
   undoCellOperation() {
     delegateToNotebook(this, "undoCellOperation");
@@ -0,0 +1,199 @@
+/**
+ * Markdown rendering shared by markdown cells and `text/markdown` outputs:
+ * GitHub-flavored markdown through marked, `$...$` / `$$...$$` math through
+ * KaTeX, fenced code highlighted with Pulsar grammars, and DOMPurify on the
+ * result.
+ */
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { sanitizeHtml } = require("./notebook-trust");
+const { escapeHtml, highlightCode } = require("./syntax-highlight");
+
+// Math is swapped for these before markdown parsing, so emphasis and escapes
+// never touch TeX. Letters and digits only: marked leaves them alone.
+const MATH_PLACEHOLDER = "JUPYTERNEXTMATH";
+const MATH_PLACEHOLDER_PATTERN = new RegExp(`${MATH_PLACEHOLDER}(\\d+)X`, "g");
+
+// Fenced blocks and inline code spans, where `$` is literal.
+const CODE_PATTERN = /(^|\n)(```|~~~)[\s\S]*?(\n\2[^\n]*(?=\n|$)|$)|(`+)[^`]*?\4/g;
+
+// $$display$$, \[display\], \(inline\) and $inline$. Inline dollars must hug
+// their content and not be followed by a digit, so "$5 and $10" stays text.
+const MATH_PATTERN =
+  /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|(?<![\\$])\$(?=\S)((?:\\\$|[^$\n])+?)(?<=\S)\$(?!\d)/g;
+
+// Delimiters a whole `text/latex` output may be wrapped in.
+const LATEX_DELIMITERS = [
+  ["$$", "$$"],
+  ["\\[", "\\]"],
+  ["$", "$"],
+  ["\\(", "\\)"],
+];
+
+let markedInstance = null;
+let katexModule = null;
+let katexStylesLoaded = false;
+
+function getKatex() {
+  if (!katexModule) {
+    katexModule = require("katex");
+  }
+  return katexModule;
+}
+
+function getMarked() {
+  if (!markedInstance) {
+    const { Marked } = require("marked");
+    markedInstance = new Marked(
+      { gfm: true },
+      {
+        renderer: {
+          code({ text, lang }) {
+            const language = (lang || "").trim().split(/\s+/)[0];
+            const className = language ? ` class="language-${escapeHtml(language)}"` : "";
+            return `<pre class="markdown-code"><code${className}>${highlightCode(
+              text,
+              language,
+            )}</code></pre>\n`;
+          },
+        },
+      },
+    );
+  }
+  return markedInstance;
+}
+
+// KaTeX's stylesheet references its fonts relative to itself, so link it from
+// the installed package rather than inlining it into the package styles.
+function ensureKatexStyles() {
+  if (katexStylesLoaded || typeof document === "undefined") return;
+  katexStylesLoaded = true;
+  const link = document.createElement("link");
+  link.rel = "stylesheet";
+  link.href = pathToFileURL(
+    path.join(path.dirname(require.resolve("katex")), "katex.min.css"),
+  ).href;
+  link.dataset.jupyterNext = "katex";
+  document.head.appendChild(link);
+}
+
+/**
+ * Typeset TeX as KaTeX HTML. Errors render as KaTeX's inline error markup.
+ */
+function renderMath(tex, displayMode = false) {
+  ensureKatexStyles();
+  return getKatex().renderToString(tex, {
+    displayMode,
+    throwOnError: false,
+    output: "htmlAndMathml",
+  });
+}
+
+/**
+ * Typeset a `text/latex` output (SymPy, IPython.display.Latex). A single
+ * delimited formula or a bare environment is typeset as display math; text
+ * with embedded formulas goes through the markdown pipeline.
+ * @throws When KaTeX cannot parse the formula, so callers can fall back
+ */
+function renderLatex(latex) {
+  const text = String(latex || "").trim();
+  let tex = text;
+  for (const [open, close] of LATEX_DELIMITERS) {
+    const inner = text.slice(open.length, -close.length);
+    if (text.startsWith(open) && text.endsWith(close) && inner && !inner.includes(close)) {
+      tex = inner;
+      break;
+    }
+  }
+
+  if (tex === text && /\$|\\\(|\\\[/.test(text)) return renderMarkdown(text);
+
+  ensureKatexStyles();
+  return getKatex().renderToString(tex, { displayMode: true, throwOnError: true });
+}
+
+/**
+ * Version of the bundled KaTeX, e.g. to link a matching stylesheet in exports.
+ */
+function getKatexVersion() {
+  return getKatex().version;
+}
+
+function extractMath(source) {
+  const math = [];
+  const replaceMath = (text) =>
+    text.replace(MATH_PATTERN, (match, display, bracket, paren, inline) => {
+      math.push({
+        tex: display ?? bracket ?? paren ?? inline,
+        displayMode: display !== undefined || bracket !== undefined,
+      });
+      return `${MATH_PLACEHOLDER}${math.length - 1}X`;
+    });
+
+  let text = "";
+  let lastIndex = 0;
+  for (const match of source.matchAll(CODE_PATTERN)) {
+    text += replaceMath(source.slice(lastIndex, match.index)) + match[0];
+    lastIndex = match.index + match[0].length;
+  }
+  text += replaceMath(source.slice(lastIndex));
+  return { text, math };
+}
+
+/**
+ * Swap `attachment:<name>` references in rendered markdown for data URIs
+ * built from a cell's nbformat attachments.
+ */
+function resolveAttachmentUrls(html, attachments) {
+  if (!attachments || Object.keys(attachments).length === 0) return html;
+
+  return html.replace(/(src|href)="attachment:([^"]*)"/g, (match, attribute, encodedName) => {
+    let name = encodedName.replace(/&amp;/g, "&");
+    try {
+      name = decodeURIComponent(name);
+    } catch (error) {
+      // Keep the raw name when it isn't valid percent-encoding.
+    }
+    const bundle = attachments[name];
+    const mime = bundle && Object.keys(bundle).find((type) => type.startsWith("image/"));
+    if (!mime) return match;
+
+    const value = Array.isArray(bundle[mime]) ? bundle[mime].join("") : String(bundle[mime]);
+    const url =
+      mime === "image/svg+xml" && value.trim().startsWith("<")
+        ? `data:${mime};charset=utf-8,${encodeURIComponent(value)}`
+        : `data:${mime};base64,${value.replace(/\s/g, "")}`;
+    return `${attribute}="${url}"`;
+  });
+}
+
+/**
+ * Render markdown source to sanitized HTML.
+ * @param {string} source
+ * @param {Object} [options]
+ * @param {Object} [options.attachments] - nbformat attachments of the cell
+ * @returns {string}
+ */
+function renderMarkdown(source, options = {}) {
+  const { text, math } = extractMath(source || "");
+  let html = getMarked().parse(text);
+  if (math.length > 0) {
+    html = html.replace(MATH_PLACEHOLDER_PATTERN, (match, index) => {
+      const entry = math[Number(index)];
+      return entry ? renderMath(entry.tex, entry.displayMode) : match;
+    });
+  }
+  // Resolve attachments first: the sanitizer drops unknown URL schemes such
+  // as `attachment:` but keeps image data URIs.
+  html = resolveAttachmentUrls(html, options.attachments);
+  return sanitizeHtml(html);
+}
+
+module.exports = {
+  getKatexVersion,
+  renderLatex,
+  renderMarkdown,
+  renderMath,
+  resolveAttachmentUrls,
+};
@@ -0,0 +1,111 @@
+/**
+ * MimeRendererRegistry - ranked renderers for display_data / execute_result
+ * MIME bundles. Built-in renderers are registered by output-view.js; other
+ * packages add theirs through the `jupyter` service (registerMimeRenderer).
+ */
+
+const { Emitter, Disposable } = require("atom");
+
+const DEFAULT_RANK = 50;
+
+let sharedRegistry = null;
+
+class MimeRendererRegistry {
+  /**
+   * The registry used by every OutputView.
+   */
+  static getShared() {
+    if (!sharedRegistry) {
+      sharedRegistry = new MimeRendererRegistry();
+    }
+    return sharedRegistry;
+  }
+
+  constructor() {
+    this.emitter = new Emitter();
+    this.renderers = [];
+    this._registrationCount = 0;
+  }
+
+  /**
+   * Register a renderer for one or more MIME types.
+   * @param {Object} renderer
+   * @param {string[]} renderer.mimeTypes - MIME types in order of preference
+   * @param {number} [renderer.rank=50] - Lower ranks win when a bundle holds
+   *   several renderable types; on equal rank the latest registration wins
+   * @param {Function} renderer.render - `(parent, data, context)`, appends the
+   *   rendering of `data` to `parent`. Return `false` to fall through to the
+   *   next renderer. `context` holds `mimeType`, `bundle`, `metadata`,
+   *   `output`, `trusted`, `notebook` (the NotebookDocument, if known) and
+   *   `disposables`, a CompositeDisposable disposed when the rendering is
+   *   replaced or destroyed.
+   * @returns {Disposable} Unregisters the renderer
+   */
+  addRenderer(renderer) {
+    const mimeTypes = Array.isArray(renderer?.mimeTypes) ? renderer.mimeTypes : [];
+    if (mimeTypes.length === 0 || typeof renderer.render !== "function") {
+      throw new Error("A MIME renderer needs a mimeTypes array and a render function");
+    }
+
+    const entry = {
+      mimeTypes: [...mimeTypes],
+      rank: Number.isFinite(renderer.rank) ? renderer.rank : DEFAULT_RANK,
+      render: renderer.render,
+      registration: this._registrationCount++,
+    };
+    this.renderers.push(entry);
+    this.renderers.sort((a, b) => a.rank - b.rank || b.registration - a.registration);
+    this.emitter.emit("did-change");
+
+    return new Disposable(() => {
+      const index = this.renderers.indexOf(entry);
+      if (index === -1) return;
+      this.renderers.splice(index, 1);
+      this.emitter.emit("did-change");
+    });
+  }
+
+  /**
+   * Renderers able to handle `bundle`, best first, each paired with the MIME
+   * type it would render.
+   */
+  getCandidates(bundle) {
+    const candidates = [];
+    for (const renderer of this.renderers) {
+      const mimeType = renderer.mimeTypes.find((type) => bundle[type] != null);
+      if (mimeType) candidates.push({ renderer, mimeType });
+    }
+    return candidates;
+  }
+
+  /**
+   * Render the best supported representation of an output's MIME bundle.
+   * @returns {boolean} Whether some renderer handled the bundle
+   */
+  render(parent, output, options = {}) {
+    const bundle = output.data || {};
+    for (const { renderer, mimeType } of this.getCandidates(bundle)) {
+      try {
+        const handled = renderer.render(parent, bundle[mimeType], {
+          mimeType,
+          bundle,
+          metadata: output.metadata?.[mimeType] || {},
+          output,
+          trusted: options.trusted === true,
+          notebook: options.notebook || null,
+          disposables: options.disposables || null,
+        });
+        if (handled !== false) return true;
+      } catch (error) {
+        console.error(`[jupyter-next] Renderer for ${mimeType} failed:`, error);
+      }
+    }
+    return false;
+  }
+
+  onDidChange(callback) {
+    return this.emitter.on("did-change", callback);
+  }
+}
+
+module.exports = MimeRendererRegistry;
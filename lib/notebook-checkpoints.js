@@ -0,0 +1,118 @@
+/**
+ * Notebook checkpoints in the notebook's `.ipynb_checkpoints` directory.
+ * Jupyter keeps one checkpoint per notebook, `<name>-checkpoint.ipynb`; we
+ * keep that file pointing at the latest checkpoint, so Jupyter's "Revert to
+ * checkpoint" sees it, and add a timestamped copy per checkpoint:
+ * `<name>-checkpoint-20261018T093000000Z.ipynb`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CHECKPOINT_DIRECTORY = ".ipynb_checkpoints";
+const STAMP_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/;
+
+function getCheckpointDirectory(notebookPath) {
+  return path.join(path.dirname(notebookPath), CHECKPOINT_DIRECTORY);
+}
+
+function getStem(notebookPath) {
+  return path.basename(notebookPath, path.extname(notebookPath));
+}
+
+function formatStamp(date) {
+  return date.toISOString().replace(/[-:.]/g, "");
+}
+
+function parseStamp(stamp) {
+  const match = stamp.match(STAMP_PATTERN);
+  if (!match) return null;
+  const [year, month, day, hours, minutes, seconds, ms] = match.slice(1).map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, ms));
+}
+
+/**
+ * Store `notebook` as a new checkpoint of the notebook at `notebookPath`.
+ * @param {string} notebookPath
+ * @param {Object} notebook - nbformat JSON
+ * @returns {Promise<{path: string, time: Date}>}
+ */
+async function createCheckpoint(notebookPath, notebook) {
+  const directory = getCheckpointDirectory(notebookPath);
+  const stem = getStem(notebookPath);
+  const time = new Date();
+  const checkpointPath = path.join(directory, `${stem}-checkpoint-${formatStamp(time)}.ipynb`);
+  const content = JSON.stringify(notebook, null, 1);
+
+  await fs.promises.mkdir(directory, { recursive: true });
+  await fs.promises.writeFile(checkpointPath, content);
+  await fs.promises.writeFile(path.join(directory, `${stem}-checkpoint.ipynb`), content);
+  return { path: checkpointPath, time };
+}
+
+/**
+ * Checkpoints of the notebook at `notebookPath`, newest first. Jupyter's own
+ * checkpoint is listed when it isn't a copy of our latest one.
+ * @returns {Promise<Array<{path: string, time: Date, jupyter: boolean}>>}
+ */
+async function listCheckpoints(notebookPath) {
+  const directory = getCheckpointDirectory(notebookPath);
+  const prefix = `${getStem(notebookPath)}-checkpoint`;
+  let names;
+  try {
+    names = await fs.promises.readdir(directory);
+  } catch (error) {
+    return [];
+  }
+
+  const checkpoints = [];
+  for (const name of names) {
+    if (!name.startsWith(`${prefix}-`) || !name.endsWith(".ipynb")) continue;
+    const time = parseStamp(name.slice(prefix.length + 1, -".ipynb".length));
+    if (time) checkpoints.push({ path: path.join(directory, name), time, jupyter: false });
+  }
+  checkpoints.sort((a, b) => b.time - a.time);
+
+  const jupyterPath = path.join(directory, `${prefix}.ipynb`);
+  if (names.includes(`${prefix}.ipynb`)) {
+    try {
+      const stats = await fs.promises.stat(jupyterPath);
+      const content = await fs.promises.readFile(jupyterPath, "utf8");
+      const latest = checkpoints[0]
+        ? await fs.promises.readFile(checkpoints[0].path, "utf8")
+        : null;
+      if (content !== latest) {
+        checkpoints.push({ path: jupyterPath, time: stats.mtime, jupyter: true });
+        checkpoints.sort((a, b) => b.time - a.time);
+      }
+    } catch (error) {
+      // Unreadable Jupyter checkpoint: list only ours.
+    }
+  }
+  return checkpoints;
+}
+
+/**
+ * Read a checkpoint as nbformat JSON.
+ * @param {string} checkpointPath
+ * @returns {Promise<Object>}
+ */
+async function readCheckpoint(checkpointPath) {
+  return JSON.parse(await fs.promises.readFile(checkpointPath, "utf8"));
+}
+
+/**
+ * Delete a checkpoint.
+ * @param {string} checkpointPath
+ */
+async function deleteCheckpoint(checkpointPath) {
+  await fs.promises.rm(checkpointPath, { force: true });
+}
+
+module.exports = {
+  createCheckpoint,
+  deleteCheckpoint,
+  getCheckpointDirectory,
+  listCheckpoints,
+  readCheckpoint,
+};
@@ -0,0 +1,205 @@
+/**
+ * NotebookDiffView - side-by-side pane item showing a notebook diff
+ * (see notebook-diff.js). Runs of unchanged cells are collapsed.
+ */
+
+const { Emitter } = require("atom");
+const { diffNotebooks } = require("./notebook-diff");
+
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  if (className) element.className = className;
+  if (text != null) element.textContent = text;
+  return element;
+}
+
+// Pair up a cell's line operations into side-by-side rows: equal lines on
+// both sides, deletions next to the insertions that replaced them.
+function toRows(sourceDiff) {
+  const rows = [];
+  let deletes = [];
+  let inserts = [];
+  const flush = () => {
+    const count = Math.max(deletes.length, inserts.length);
+    for (let i = 0; i < count; i++) {
+      rows.push({ left: deletes[i] ?? null, right: inserts[i] ?? null });
+    }
+    deletes = [];
+    inserts = [];
+  };
+
+  for (const op of sourceDiff) {
+    if (op.type === "equal") {
+      flush();
+      rows.push({ left: op, right: op });
+    } else if (op.type === "delete") {
+      deletes.push(op);
+    } else {
+      inserts.push(op);
+    }
+  }
+  flush();
+  return rows;
+}
+
+function describeStatus(entry) {
+  const labels = [];
+  if (entry.status !== "unchanged") labels.push(entry.status);
+  if (entry.moved) labels.push(`moved from ${entry.oldIndex + 1}`);
+  if (entry.typeChange) labels.push(`${entry.typeChange.from} → ${entry.typeChange.to}`);
+  return labels.join(", ");
+}
+
+class NotebookDiffView {
+  /**
+   * @param {Object} options
+   * @param {string} options.title - Tab title
+   * @param {string} options.oldLabel - Column heading of the old side, e.g. "HEAD"
+   * @param {string} options.newLabel - Column heading of the new side
+   * @param {Object} options.oldNotebook - nbformat JSON
+   * @param {Object} options.newNotebook - nbformat JSON
+   */
+  constructor({ title, oldLabel, newLabel, oldNotebook, newNotebook }) {
+    this.title = title;
+    this.emitter = new Emitter();
+    this.diff = diffNotebooks(oldNotebook, newNotebook);
+
+    this.element = createElement("div", "jupyter-next jupyter-notebook-diff native-key-bindings");
+    this.element.tabIndex = -1;
+    this.element.appendChild(this.renderSummary());
+    const header = createElement("div", "diff-row diff-columns");
+    header.appendChild(createElement("div", "diff-side diff-old", oldLabel));
+    header.appendChild(createElement("div", "diff-side diff-new", newLabel));
+    this.element.appendChild(header);
+    this.renderCells();
+  }
+
+  renderSummary() {
+    const { stats, metadata } = this.diff;
+    const summary = createElement("div", "diff-summary");
+    const parts = [
+      `${stats.modified} modified`,
+      `${stats.inserted} inserted`,
+      `${stats.deleted} deleted`,
+      `${stats.moved} moved`,
+    ];
+    summary.appendChild(createElement("span", "diff-stats", parts.join(" · ")));
+    if (metadata.length > 0) {
+      const keys = metadata.map(({ key, change }) => `${key} (${change})`).join(", ");
+      summary.appendChild(createElement("div", "diff-metadata", `Notebook metadata: ${keys}`));
+    }
+    return summary;
+  }
+
+  renderCells() {
+    let unchangedRun = [];
+    const flushUnchanged = () => {
+      if (unchangedRun.length === 0) return;
+      const count = unchangedRun.length;
+      this.element.appendChild(
+        createElement(
+          "div",
+          "diff-unchanged",
+          `${count} unchanged ${count === 1 ? "cell" : "cells"}`,
+        ),
+      );
+      unchangedRun = [];
+    };
+
+    for (const entry of this.diff.cells) {
+      if (entry.status === "unchanged" && !entry.moved) {
+        unchangedRun.push(entry);
+        continue;
+      }
+      flushUnchanged();
+      this.element.appendChild(this.renderCell(entry));
+    }
+    flushUnchanged();
+
+    if (this.diff.cells.every((entry) => entry.status === "unchanged" && !entry.moved)) {
+      this.element.appendChild(createElement("div", "diff-empty", "No cell changes"));
+    }
+  }
+
+  renderCell(entry) {
+    const cell = createElement("div", `diff-cell diff-cell-${entry.status}`);
+    if (entry.moved) cell.classList.add("diff-cell-moved");
+
+    const header = createElement("div", "diff-row diff-cell-header");
+    const oldHeading = entry.oldIndex === null ? "" : `[${entry.oldIndex + 1}] ${entry.cellType}`;
+    const newHeading = entry.newIndex === null ? "" : `[${entry.newIndex + 1}] ${entry.cellType}`;
+    header.appendChild(createElement("div", "diff-side diff-old", oldHeading));
+    const newSide = createElement("div", "diff-side diff-new", newHeading);
+    const status = describeStatus(entry);
+    if (status) newSide.appendChild(createElement("span", "badge badge-small diff-badge", status));
+    header.appendChild(newSide);
+    cell.appendChild(header);
+
+    const source = createElement("div", "diff-source");
+    for (const row of toRows(entry.sourceDiff)) {
+      const line = createElement("div", "diff-row");
+      for (const [side, op] of [
+        ["diff-old", row.left],
+        ["diff-new", row.right],
+      ]) {
+        const type = op ? op.type : "empty";
+        line.appendChild(
+          createElement("div", `diff-side ${side} diff-line-${type}`, op?.text ?? ""),
+        );
+      }
+      source.appendChild(line);
+    }
+    cell.appendChild(source);
+
+    for (const note of this.describeChanges(entry)) {
+      cell.appendChild(createElement("div", "diff-note", note));
+    }
+    return cell;
+  }
+
+  describeChanges(entry) {
+    const notes = [];
+    if (entry.outputs) {
+      const { oldExecutionCount, newExecutionCount } = entry.outputs;
+      let note = `Outputs: ${entry.outputs.old.join("; ") || "none"} → ${
+        entry.outputs.new.join("; ") || "none"
+      }`;
+      if (oldExecutionCount !== newExecutionCount) {
+        note += ` (execution count ${oldExecutionCount ?? "-"} → ${newExecutionCount ?? "-"})`;
+      }
+      notes.push(note);
+    } else if (entry.outputSummary?.length) {
+      notes.push(`Outputs: ${entry.outputSummary.join("; ")}`);
+    }
+    if (entry.metadata.length > 0) {
+      const keys = entry.metadata.map(({ key, change }) => `${key} (${change})`).join(", ");
+      notes.push(`Metadata: ${keys}`);
+    }
+    if (entry.attachmentsChanged) notes.push("Attachments changed");
+    return notes;
+  }
+
+  getTitle() {
+    return this.title;
+  }
+
+  getIconName() {
+    return "diff";
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  onDidDestroy(callback) {
+    return this.emitter.on("did-destroy", callback);
+  }
+
+  destroy() {
+    this.element.remove();
+    this.emitter.emit("did-destroy");
+    this.emitter.dispose();
+  }
+}
+
+module.exports = NotebookDiffView;
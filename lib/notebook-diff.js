@@ -0,0 +1,339 @@
+/**
+ * Cell-level notebook diff. Cells are matched by `id` (or, for notebooks
+ * without ids, by identical type and source), then each matched pair gets a
+ * line diff of its source and summaries of its output and metadata changes.
+ * Outputs are summarized, never compared or shown as raw data.
+ */
+
+// Above this many line pairs the line diff degrades to "all replaced".
+const MAX_LINE_DIFF_CELLS = 4000000;
+
+function asText(value) {
+  return Array.isArray(value) ? value.join("") : String(value ?? "");
+}
+
+function splitLines(text) {
+  return text === "" ? [] : text.split("\n");
+}
+
+function formatSize(length) {
+  if (length < 1024) return `${length} B`;
+  if (length < 1024 * 1024) return `${(length / 1024).toFixed(1)} KB`;
+  return `${(length / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Line diff of two texts as `{ type: "equal"|"delete"|"insert", text }`
+ * operations, deletions before insertions within a changed run.
+ */
+function diffLines(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  // Trim the common prefix and suffix before the quadratic LCS table.
+  let prefix = 0;
+  while (
+    prefix < oldLines.length &&
+    prefix < newLines.length &&
+    oldLines[prefix] === newLines[prefix]
+  ) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const before = oldLines.slice(prefix, oldLines.length - suffix);
+  const after = newLines.slice(prefix, newLines.length - suffix);
+  const middle = [];
+
+  if (before.length * after.length > MAX_LINE_DIFF_CELLS) {
+    for (const text of before) middle.push({ type: "delete", text });
+    for (const text of after) middle.push({ type: "insert", text });
+  } else {
+    const lengths = Array.from(
+      { length: before.length + 1 },
+      () => new Uint32Array(after.length + 1),
+    );
+    for (let i = before.length - 1; i >= 0; i--) {
+      for (let j = after.length - 1; j >= 0; j--) {
+        lengths[i][j] =
+          before[i] === after[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    const deletes = [];
+    const inserts = [];
+    const flush = () => {
+      middle.push(...deletes.splice(0), ...inserts.splice(0));
+    };
+    while (i < before.length || j < after.length) {
+      if (i < before.length && j < after.length && before[i] === after[j]) {
+        flush();
+        middle.push({ type: "equal", text: before[i] });
+        i++;
+        j++;
+      } else if (
+        j >= after.length ||
+        (i < before.length && lengths[i + 1][j] >= lengths[i][j + 1])
+      ) {
+        deletes.push({ type: "delete", text: before[i++] });
+      } else {
+        inserts.push({ type: "insert", text: after[j++] });
+      }
+    }
+    flush();
+  }
+
+  return [
+    ...oldLines.slice(0, prefix).map((text) => ({ type: "equal", text })),
+    ...middle,
+    ...oldLines.slice(oldLines.length - suffix).map((text) => ({ type: "equal", text })),
+  ];
+}
+
+/**
+ * One-line description of an output, e.g. `display_data: image/png (12.4 KB), text/plain`.
+ */
+function describeOutput(output) {
+  switch (output.output_type) {
+    case "stream": {
+      const lines = splitLines(asText(output.text).replace(/\n$/, "")).length;
+      return `stream ${output.name || ""} (${lines} ${lines === 1 ? "line" : "lines"})`;
+    }
+    case "error":
+      return `error: ${output.ename || "Error"}${output.evalue ? `: ${output.evalue}` : ""}`;
+    case "display_data":
+    case "execute_result": {
+      const types = Object.entries(output.data || {}).map(([mimeType, value]) => {
+        const text = typeof value === "string" || Array.isArray(value) ? asText(value) : null;
+        return mimeType.startsWith("text/") || text === null
+          ? mimeType
+          : `${mimeType} (${formatSize(text.length)})`;
+      });
+      return `${output.output_type}: ${types.join(", ") || "empty"}`;
+    }
+    default:
+      return output.output_type || "unknown output";
+  }
+}
+
+/**
+ * Summary of output changes between two versions of a code cell, or null.
+ */
+function diffOutputs(oldCell, newCell) {
+  const oldOutputs = oldCell.outputs || [];
+  const newOutputs = newCell.outputs || [];
+  const executionChanged = (oldCell.execution_count ?? null) !== (newCell.execution_count ?? null);
+  if (!executionChanged && JSON.stringify(oldOutputs) === JSON.stringify(newOutputs)) return null;
+
+  return {
+    oldCount: oldOutputs.length,
+    newCount: newOutputs.length,
+    oldExecutionCount: oldCell.execution_count ?? null,
+    newExecutionCount: newCell.execution_count ?? null,
+    old: oldOutputs.map(describeOutput),
+    new: newOutputs.map(describeOutput),
+  };
+}
+
+/**
+ * Keys added, removed or changed between two metadata objects.
+ */
+function diffMetadata(oldMetadata = {}, newMetadata = {}) {
+  const keys = new Set([...Object.keys(oldMetadata), ...Object.keys(newMetadata)]);
+  const changes = [];
+  for (const key of [...keys].sort()) {
+    const inOld = Object.prototype.hasOwnProperty.call(oldMetadata, key);
+    const inNew = Object.prototype.hasOwnProperty.call(newMetadata, key);
+    if (!inOld) {
+      changes.push({ key, change: "added" });
+    } else if (!inNew) {
+      changes.push({ key, change: "removed" });
+    } else if (JSON.stringify(oldMetadata[key]) !== JSON.stringify(newMetadata[key])) {
+      changes.push({ key, change: "changed" });
+    }
+  }
+  return changes;
+}
+
+// Pair old and new cells: by id where both sides have one, then unmatched
+// cells with the same type and source.
+function matchCells(oldCells, newCells) {
+  const newIndexByOld = new Map();
+  const claimed = new Set();
+  const newIndexById = new Map();
+  newCells.forEach((cell, index) => {
+    if (cell.id && !newIndexById.has(cell.id)) newIndexById.set(cell.id, index);
+  });
+
+  oldCells.forEach((cell, oldIndex) => {
+    const newIndex = cell.id ? newIndexById.get(cell.id) : undefined;
+    if (newIndex !== undefined && !claimed.has(newIndex)) {
+      newIndexByOld.set(oldIndex, newIndex);
+      claimed.add(newIndex);
+    }
+  });
+
+  oldCells.forEach((cell, oldIndex) => {
+    if (newIndexByOld.has(oldIndex)) return;
+    const source = asText(cell.source);
+    const newIndex = newCells.findIndex(
+      (candidate, index) =>
+        !claimed.has(index) &&
+        !(candidate.id && cell.id) &&
+        candidate.cell_type === cell.cell_type &&
+        asText(candidate.source) === source,
+    );
+    if (newIndex !== -1) {
+      newIndexByOld.set(oldIndex, newIndex);
+      claimed.add(newIndex);
+    }
+  });
+  return newIndexByOld;
+}
+
+// Old indices of the matched cells that keep their relative order (longest
+// increasing run of new indices); the other matched cells moved.
+function findStableCells(newIndexByOld) {
+  const pairs = [...newIndexByOld.entries()].sort((a, b) => a[0] - b[0]);
+  const tails = [];
+  const previous = new Array(pairs.length).fill(-1);
+  pairs.forEach(([, newIndex], i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (pairs[tails[mid]][1] < newIndex) low = mid + 1;
+      else high = mid;
+    }
+    if (low > 0) previous[i] = tails[low - 1];
+    tails[low] = i;
+  });
+
+  const stable = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+    stable.add(pairs[i][0]);
+  }
+  return stable;
+}
+
+function diffCellPair(oldCell, newCell, oldIndex, newIndex, moved) {
+  const sourceDiff = diffLines(asText(oldCell.source), asText(newCell.source));
+  const typeChange =
+    oldCell.cell_type !== newCell.cell_type
+      ? { from: oldCell.cell_type, to: newCell.cell_type }
+      : null;
+  const outputs =
+    newCell.cell_type === "code" || oldCell.cell_type === "code"
+      ? diffOutputs(oldCell, newCell)
+      : null;
+  const metadata = diffMetadata(oldCell.metadata, newCell.metadata);
+  const attachmentsChanged =
+    JSON.stringify(oldCell.attachments || {}) !== JSON.stringify(newCell.attachments || {});
+  const modified =
+    typeChange !== null ||
+    sourceDiff.some((op) => op.type !== "equal") ||
+    outputs !== null ||
+    metadata.length > 0 ||
+    attachmentsChanged;
+
+  return {
+    status: modified ? "modified" : "unchanged",
+    moved,
+    oldIndex,
+    newIndex,
+    cellType: newCell.cell_type,
+    typeChange,
+    sourceDiff,
+    outputs,
+    metadata,
+    attachmentsChanged,
+  };
+}
+
+function describeWholeCell(cell, status, index) {
+  const source = asText(cell.source);
+  return {
+    status,
+    moved: false,
+    oldIndex: status === "deleted" ? index : null,
+    newIndex: status === "inserted" ? index : null,
+    cellType: cell.cell_type,
+    typeChange: null,
+    sourceDiff: splitLines(source).map((text) => ({
+      type: status === "deleted" ? "delete" : "insert",
+      text,
+    })),
+    outputs: null,
+    outputSummary: (cell.outputs || []).map(describeOutput),
+    metadata: [],
+    attachmentsChanged: false,
+  };
+}
+
+/**
+ * Diff two notebooks (nbformat JSON).
+ * @returns {{cells: Object[], metadata: Object[], stats: Object}} `cells` in
+ *   display order: new-notebook order, with deleted cells where they used to
+ *   be. Each entry has `status` ("unchanged", "modified", "inserted",
+ *   "deleted"), `moved`, `oldIndex`/`newIndex`, `sourceDiff` (line ops),
+ *   `outputs` (summary or null) and `metadata` (changed keys).
+ */
+function diffNotebooks(oldNotebook, newNotebook) {
+  const oldCells = oldNotebook?.cells || [];
+  const newCells = newNotebook?.cells || [];
+  const newIndexByOld = matchCells(oldCells, newCells);
+  const oldIndexByNew = new Map(
+    [...newIndexByOld].map(([oldIndex, newIndex]) => [newIndex, oldIndex]),
+  );
+  const stable = findStableCells(newIndexByOld);
+
+  const entries = [];
+  let nextOld = 0;
+  const emitDeletedBefore = (limit) => {
+    for (; nextOld < limit; nextOld++) {
+      if (!newIndexByOld.has(nextOld)) {
+        entries.push(describeWholeCell(oldCells[nextOld], "deleted", nextOld));
+      }
+    }
+  };
+
+  newCells.forEach((cell, newIndex) => {
+    const oldIndex = oldIndexByNew.get(newIndex);
+    if (oldIndex === undefined) {
+      entries.push(describeWholeCell(cell, "inserted", newIndex));
+      return;
+    }
+    if (stable.has(oldIndex)) emitDeletedBefore(oldIndex + 1);
+    entries.push(diffCellPair(oldCells[oldIndex], cell, oldIndex, newIndex, !stable.has(oldIndex)));
+  });
+  emitDeletedBefore(oldCells.length);
+
+  const stats = { inserted: 0, deleted: 0, modified: 0, moved: 0, unchanged: 0 };
+  for (const entry of entries) {
+    stats[entry.status]++;
+    if (entry.moved) stats.moved++;
+  }
+
+  return {
+    cells: entries,
+    metadata: diffMetadata(oldNotebook?.metadata, newNotebook?.metadata),
+    stats,
+  };
+}
+
+module.exports = {
+  describeOutput,
+  diffLines,
+  diffNotebooks,
+};
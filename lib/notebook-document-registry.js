@@ -101,7 +101,7 @@ class NotebookDocumentRegistry {
         }
       });
 
-      await document.initializeFromData(notebookData);
+      await document.initializeFromData(notebookData, { trusted: options.trusted });
       document.setModified(options.modified === true);
 
       this.documents.set(filePath, document);
@@ -3,6 +3,16 @@ const { v4: uuidv4 } = require("uuid");
 
 // Lazy load components
 let CellModel = null;
+let NotebookTrust = null;
+let WidgetManager = null;
+let ExecutionQueue = null;
+let NotebookPairing = null;
+let PercentScript = null;
+let NotebookMerge = null;
+let GitConflict = null;
+let NotebookRecovery = null;
+let SavePolicy = null;
+let NotebookValidator = null;
 
 function getCellModel() {
   if (!CellModel) {
@@ -11,6 +21,76 @@ function getCellModel() {
   return CellModel;
 }
 
+function getWidgetManager() {
+  if (!WidgetManager) {
+    WidgetManager = require("./widget-manager");
+  }
+  return WidgetManager;
+}
+
+function getExecutionQueue() {
+  if (!ExecutionQueue) {
+    ExecutionQueue = require("./execution-queue");
+  }
+  return ExecutionQueue;
+}
+
+function getNotebookPairing() {
+  if (!NotebookPairing) {
+    NotebookPairing = require("./notebook-pairing");
+  }
+  return NotebookPairing;
+}
+
+function getPercentScript() {
+  if (!PercentScript) {
+    PercentScript = require("./percent-script");
+  }
+  return PercentScript;
+}
+
+function getNotebookMerge() {
+  if (!NotebookMerge) {
+    NotebookMerge = require("./notebook-merge");
+  }
+  return NotebookMerge;
+}
+
+function getGitConflict() {
+  if (!GitConflict) {
+    GitConflict = require("./git-conflict");
+  }
+  return GitConflict;
+}
+
+function getNotebookRecovery() {
+  if (!NotebookRecovery) {
+    NotebookRecovery = require("./notebook-recovery");
+  }
+  return NotebookRecovery;
+}
+
+function getSavePolicyModule() {
+  if (!SavePolicy) {
+    SavePolicy = require("./save-policy");
+  }
+  return SavePolicy;
+}
+
+function getNotebookValidator() {
+  if (!NotebookValidator) {
+    NotebookValidator = require("./notebook-validator");
+  }
+  return NotebookValidator;
+}
+
+function getNotebookTrust() {
+  if (!NotebookTrust) {
+    NotebookTrust = require("./notebook-trust");
+  }
+  return NotebookTrust;
+}
+
 /**
  * NotebookDocument represents the shared data model for a Jupyter notebook.
  * Multiple editors can view/edit the same document (like Pulsar's TextBuffer).
@@ -28,6 +108,32 @@ class NotebookDocument {
     this.modified = false;
     this._applyingSourceEditorSnapshot = false;
 
+    // Whether stored outputs and markdown may render unsanitized. Notebooks
+    // created here are trusted; files must carry a local signature (see
+    // notebook-trust.js). _fileSignature is the signature of the JSON last
+    // read from or written to disk.
+    this.trusted = !filePath;
+    this._fileSignature = null;
+
+    // ipywidgets models, created on first use (see getWidgetManager)
+    this._widgetManager = null;
+
+    // Cells queued or running in hydrogen-next (see getExecutionQueue)
+    this._executionQueue = null;
+
+    // State of the notebook's kernel, null while none runs (see setKernelStatus)
+    this.kernelStatus = null;
+    this._kernelStatusReported = false;
+
+    // Crash-recovery backups (see notebook-recovery.js). Untitled notebooks
+    // are backed up under recoveryId, which the editor serializes.
+    this.recoveryId = uuidv4();
+    this._recovery = null;
+
+    // Percent script paired through `metadata.jupytext.formats`, if any
+    this._pairing = null;
+    this._pairingSubscription = null;
+
     // Forward each cell's did-change to the document so the view re-renders
     // on cell-model emissions (e.g. the debounced status flip in setRunning,
     // which has no other notify channel).  Keyed by cell.id so we can dispose
@@ -38,8 +144,17 @@ class NotebookDocument {
     this.nbformat = 4;
     this.nbformat_minor = 5;
 
-    // Saved content hash for detecting when undo returns to saved state
+    // Saved content hash for detecting when undo returns to saved state, and
+    // the saved content itself (JSON text), the base for merging disk changes
     this._savedContentHash = null;
+    this._savedContent = null;
+
+    // Cells whose external changes conflict with unsaved edits, by cell id
+    // (see _mergeFileChange)
+    this.mergeConflicts = new Map();
+    // nbformat problems found when the file was last loaded or saved (see
+    // notebook-validator.js)
+    this.validationProblems = [];
     this._isSaving = false;
     this._isSavingResetTimer = null;
     this._fileChangePromise = null;
@@ -91,11 +206,11 @@ class NotebookDocument {
     }
 
     try {
-      await this._loadFromFile();
-      this.setModified(false);
-      this._updateSavedContentHash();
+      const clean = await this._loadFromFile();
+      this._finishFileLoad(clean);
       this._watchFile();
       this.emitter.emit("did-load");
+      this._startRecovery();
     } catch (error) {
       atom.notifications.addError("Failed to load notebook", {
         detail: error.message,
@@ -137,13 +252,22 @@ class NotebookDocument {
     this.setModified(!this.filePath);
     this._updateSavedContentHash();
     this.emitter.emit("did-load");
+    this._startRecovery();
   }
 
   /**
    * Initialize from serialized notebook data (for restoring unsaved notebooks)
+   * @param {Object} notebookData - nbformat JSON
+   * @param {Object} [options]
+   * @param {boolean} [options.trusted]
+   * @param {string} [options.recoveryId] - recoveryId of the serialized document
    */
-  async initializeFromData(notebookData) {
+  async initializeFromData(notebookData, options = {}) {
     const CellModelClass = getCellModel();
+    if (options.recoveryId) this.recoveryId = options.recoveryId;
+    const { getNotebookSignature, isSignatureTrusted } = getNotebookTrust();
+    this.trusted =
+      options.trusted === true || isSignatureTrusted(getNotebookSignature(notebookData));
 
     this.nbformat = notebookData.nbformat || 4;
     this.nbformat_minor = notebookData.nbformat_minor || 5;
@@ -158,8 +282,10 @@ class NotebookDocument {
         outputs: cellData.outputs || [],
         executionCount: cellData.execution_count,
         metadata: cellData.metadata || {},
+        attachments: cellData.attachments,
       });
     });
+    this._updatePairing();
 
     // Ensure at least one cell
     if (this.cells.length === 0) {
@@ -179,6 +305,26 @@ class NotebookDocument {
     // Mark as modified since it's unsaved
     this.setModified(true);
     this.emitter.emit("did-load");
+    this._startRecovery();
+  }
+
+  // Back up unsaved changes from now on, and offer a backup left behind by a
+  // session that ended without saving or serializing them.
+  _startRecovery() {
+    if (this._recovery) return;
+    const NotebookRecoveryClass = getNotebookRecovery();
+    this._recovery = new NotebookRecoveryClass(this);
+    this._recovery.offerRecovery();
+  }
+
+  /**
+   * Replace the content with other nbformat JSON, such as a recovery backup
+   * or a checkpoint, as an unsaved change.
+   * @param {Object} notebook - nbformat JSON
+   * @param {string[]} [trustedCellIds] - Cells whose outputs may render unsanitized
+   */
+  replaceNotebook(notebook, trustedCellIds = []) {
+    this._replaceNotebookData(notebook, trustedCellIds);
   }
 
   // Save functionality
@@ -190,10 +336,23 @@ class NotebookDocument {
     this._isSaving = true;
     try {
       const content = this.toJSON();
-      await this.file.write(JSON.stringify(content, null, 2));
+      // The file may leave out outputs and volatile metadata the editor keeps.
+      const { applySavePolicy, getSavePolicy, serializeNotebook } = getSavePolicyModule();
+      const policy = getSavePolicy(content.metadata);
+      const saved = applySavePolicy(content, policy);
+      await this.file.write(serializeNotebook(saved, policy));
+      this._validate(saved);
+      this._signSavedContent(saved);
+      await this._pairing?.write(content);
       this.setModified(false);
-      this._updateSavedContentHash();
+      this._updateSavedContentHash(saved);
       this.emitter.emit("did-save");
+      if (this.mergeConflicts.size > 0) {
+        atom.notifications.addWarning("Saved with unresolved merge conflicts", {
+          detail: "Conflicting cells were saved as shown; their banners stay until resolved.",
+          dismissable: true,
+        });
+      }
       return true;
     } catch (error) {
       atom.notifications.addError("Failed to save notebook", {
@@ -213,10 +372,328 @@ class NotebookDocument {
     }
   }
 
+  _signSavedContent(content) {
+    const { getNotebookSignature, trustSignature } = getNotebookTrust();
+    this._fileSignature = getNotebookSignature(content);
+    if (this.trusted) trustSignature(this._fileSignature);
+  }
+
+  isTrusted() {
+    return this.trusted;
+  }
+
+  /**
+   * Trust the notebook. An unmodified file is signed right away; otherwise
+   * the signature is recorded when the notebook is next saved.
+   */
+  trust() {
+    if (this.trusted) return;
+    this.trusted = true;
+    if (this._fileSignature && !this.isModified()) {
+      getNotebookTrust().trustSignature(this._fileSignature);
+    }
+    this.emitter.emit("did-change-trust", true);
+  }
+
+  /**
+   * The notebook's widget models: saved `metadata.widgets` state plus live
+   * models opened by the kernel.
+   */
+  getWidgetManager() {
+    if (!this._widgetManager) {
+      const WidgetManagerClass = getWidgetManager();
+      this._widgetManager = new WidgetManagerClass(this.metadata);
+    }
+    return this._widgetManager;
+  }
+
+  clearLiveWidgets() {
+    this._widgetManager?.clearLiveModels();
+  }
+
+  /**
+   * The cells queued for execution or running, by cell id.
+   */
+  getExecutionQueue() {
+    if (!this._executionQueue) {
+      const ExecutionQueueClass = getExecutionQueue();
+      this._executionQueue = new ExecutionQueueClass();
+    }
+    return this._executionQueue;
+  }
+
+  onDidChangeExecutionQueue(callback) {
+    return this.getExecutionQueue().onDidChange(callback);
+  }
+
+  /**
+   * Set the state of the notebook's kernel.
+   * @param {"starting"|"idle"|"busy"|"dead"|null} status
+   * @param {Object} [options]
+   * @param {boolean} [options.inferred] - Whether the state is guessed from
+   *   runs and kernel commands; ignored once hydrogen-next reports states
+   */
+  setKernelStatus(status, { inferred = false } = {}) {
+    if (inferred && this._kernelStatusReported) return;
+    if (!inferred) this._kernelStatusReported = true;
+    if (this.kernelStatus === status) return;
+    this.kernelStatus = status;
+    this.emitter.emit("did-change-kernel-status", status);
+  }
+
+  onDidChangeKernelStatus(callback) {
+    return this.emitter.on("did-change-kernel-status", callback);
+  }
+
+  /**
+   * Choose the notebook's kernel: `metadata.kernelspec`, and the language
+   * in `metadata.language_info`.
+   * @param {{name: string, display_name?: string, language?: string}} kernelSpec
+   */
+  setKernelSpec(kernelSpec) {
+    if (!kernelSpec?.name) return;
+    const language = kernelSpec.language || this.metadata.kernelspec?.language || "";
+    const metadata = {
+      ...this.metadata,
+      kernelspec: {
+        display_name: kernelSpec.display_name || kernelSpec.name,
+        language,
+        name: kernelSpec.name,
+      },
+    };
+    // Details such as the version and codemirror_mode belong to the old
+    // language.
+    if (language && metadata.language_info?.name !== language) {
+      metadata.language_info = { name: language };
+    }
+    this.setMetadata(metadata);
+  }
+
+  onDidChangeTrust(callback) {
+    return this.emitter.on("did-change-trust", callback);
+  }
+
+  /**
+   * Replace the notebook-level metadata.
+   */
+  setMetadata(metadata) {
+    this.metadata = metadata || {};
+    this._updatePairing();
+    this.setModified(true);
+    this.emitter.emit("did-change");
+  }
+
+  /**
+   * Path of the paired percent script, or null when the notebook isn't paired.
+   */
+  getPairedScriptPath() {
+    return this._pairing?.scriptPath || null;
+  }
+
+  // Start, move or stop the script pairing after the path or metadata changed.
+  _updatePairing() {
+    const { NotebookPairing: NotebookPairingClass, getPairedScriptPath } = getNotebookPairing();
+    const scriptPath = getPairedScriptPath(this.filePath, this.metadata);
+    if (scriptPath === this.getPairedScriptPath()) return;
+
+    this._pairingSubscription?.dispose();
+    this._pairing?.destroy();
+    this._pairing = null;
+    this._pairingSubscription = null;
+    if (!scriptPath) return;
+
+    this._pairing = new NotebookPairingClass(scriptPath);
+    this._pairingSubscription = this._pairing.onDidChangeScript((text) => {
+      this._applyPairedScript(text);
+    });
+  }
+
+  // Take external edits of the paired script over: cell sources, types and
+  // tags come from the script, unchanged cells keep their outputs. Unsaved
+  // edits are kept by merging the script cell by cell against the saved
+  // notebook, as for disk changes (see _mergeFileChange). The notebook file
+  // itself is updated on the next save.
+  _applyPairedScript(text) {
+    const modified = this.isModified();
+    if (modified && !this._savedContent) {
+      atom.notifications.addWarning("Paired script changed on disk", {
+        detail: "The notebook has unsaved edits, so the script changes were not applied.",
+        dismissable: true,
+      });
+      return;
+    }
+
+    const { importPercentScript, mergePercentScript } = getPercentScript();
+    const saved = modified ? JSON.parse(this._savedContent) : null;
+    let notebook;
+    try {
+      const script = importPercentScript(text, { comment: this._pairing?.comment });
+      notebook = mergePercentScript(saved || this.toJSON(), script);
+    } catch (error) {
+      atom.notifications.addError("Failed to read paired script", {
+        detail: error.message,
+        dismissable: true,
+      });
+      return;
+    }
+
+    if (modified) {
+      this._mergePairedScript(saved, notebook);
+    } else {
+      this._replaceNotebookData(notebook);
+    }
+  }
+
+  // Merge the saved notebook as edited in the paired script into a notebook
+  // with unsaved edits. Conflicting cells keep the editor's version and are
+  // listed in mergeConflicts until resolved.
+  _mergePairedScript(saved, theirs) {
+    // A cell edited in the script comes back under a new id. Without it,
+    // the merge matches it to the saved cell at its position, so the edit
+    // merges as a change of that cell.
+    const savedIds = new Set(saved.cells.map((cell) => cell.id));
+    const cells = theirs.cells.map((cell) => {
+      if (savedIds.has(cell.id)) return cell;
+      const rest = { ...cell };
+      delete rest.id;
+      return rest;
+    });
+    const { mergeNotebooks } = getNotebookMerge();
+    const result = mergeNotebooks(saved, this.toJSON(), { ...theirs, cells });
+    if (result.changes === 0) return;
+
+    const labels = { mine: "here", theirs: "in the script" };
+    for (const conflict of result.conflicts) {
+      this.mergeConflicts.set(conflict.id, { ...conflict, labels });
+    }
+    this._replaceNotebookData(result.notebook);
+    this.emitter.emit("did-change-merge-conflicts");
+
+    if (result.conflicts.length > 0) {
+      const count = result.conflicts.length;
+      atom.notifications.addWarning("Merged paired script changes", {
+        detail:
+          `${count} ${count === 1 ? "cell conflicts" : "cells conflict"} with your unsaved edits. ` +
+          "Choose a version for each in the notebook.",
+        dismissable: true,
+      });
+    } else {
+      atom.notifications.addInfo("Merged paired script changes");
+    }
+  }
+
+  // Apply edited notebook JSON as an unsaved change. Cells keep trusted
+  // outputs only while their outputs are unchanged, unless listed in
+  // `trustedCellIds`.
+  _replaceNotebookData(notebook, trustedCellIds = []) {
+    const trustedOutputs = new Map(
+      this.cells
+        .filter((cell) => cell.outputsTrusted)
+        .map((cell) => [cell.id, JSON.stringify(cell.outputs || [])]),
+    );
+    const trustedIds = new Set(trustedCellIds);
+    this._applyNotebookData(notebook);
+    for (const cell of this.cells) {
+      if (
+        trustedIds.has(cell.id) ||
+        trustedOutputs.get(cell.id) === JSON.stringify(cell.outputs || [])
+      ) {
+        cell.outputsTrusted = true;
+      }
+    }
+    for (const id of this.mergeConflicts.keys()) {
+      if (!this.cells.some((cell) => cell.id === id)) this.mergeConflicts.delete(id);
+    }
+    this.setModified(true);
+    this.emitter.emit("did-reload");
+    this.emitter.emit("did-change");
+  }
+
+  /**
+   * The unresolved merge conflict of a cell, or null. `mine` and `theirs`
+   * are the cell's versions in the editor and on disk (null where deleted).
+   */
+  getMergeConflict(cellId) {
+    return this.mergeConflicts.get(cellId) || null;
+  }
+
+  getMergeConflicts() {
+    return [...this.mergeConflicts.values()];
+  }
+
+  /**
+   * Resolve a cell's merge conflict.
+   * @param {string} cellId
+   * @param {"mine"|"theirs"|"both"} resolution - Keep the editor's version,
+   *   take the one from disk, or keep both (the disk version as a new cell
+   *   below)
+   */
+  resolveMergeConflict(cellId, resolution) {
+    const conflict = this.mergeConflicts.get(cellId);
+    if (!conflict) return;
+    this.mergeConflicts.delete(cellId);
+
+    const notebook = this.toJSON();
+    const index = notebook.cells.findIndex((cell) => cell.id === cellId);
+    if (index !== -1) {
+      // The cell shows "mine", or "theirs" when the editor deleted it; edits
+      // made since the merge are kept with the version shown.
+      const current = notebook.cells[index];
+      let cells;
+      if (resolution === "mine") {
+        cells = conflict.mine ? [current] : [];
+      } else if (resolution === "theirs") {
+        cells = conflict.theirs ? [conflict.mine ? conflict.theirs : current] : [];
+      } else {
+        cells =
+          conflict.mine && conflict.theirs
+            ? [current, { ...conflict.theirs, id: uuidv4() }]
+            : [current];
+      }
+      notebook.cells.splice(index, 1, ...cells);
+      this._replaceNotebookData(notebook);
+    }
+    this.emitter.emit("did-change-merge-conflicts");
+  }
+
+  onDidChangeMergeConflicts(callback) {
+    return this.emitter.on("did-change-merge-conflicts", callback);
+  }
+
+  /**
+   * The nbformat problems found when the notebook was last loaded, saved or
+   * repaired.
+   * @returns {Object[]} See validateNotebook in notebook-validator.js
+   */
+  getValidationProblems() {
+    return this.validationProblems;
+  }
+
+  /**
+   * Repair nbformat problems as an unsaved change.
+   * @param {string} repair - A repair named by a problem, e.g. "generate-ids"
+   */
+  repairNotebook(repair) {
+    const { repairNotebook } = getNotebookValidator();
+    const trustedCellIds = this.cells.filter((cell) => cell.outputsTrusted).map((cell) => cell.id);
+    this._replaceNotebookData(repairNotebook(this.toJSON(), repair), trustedCellIds);
+    this._validate(this.toJSON());
+  }
+
+  _validate(notebook) {
+    this.validationProblems = getNotebookValidator().validateNotebook(notebook);
+    this.emitter.emit("did-change-validation");
+  }
+
+  onDidChangeValidation(callback) {
+    return this.emitter.on("did-change-validation", callback);
+  }
+
   setPath(newPath) {
     this.filePath = newPath;
     this.file = new File(newPath);
     this._watchFile();
+    this._updatePairing();
     this.emitter.emit("did-change-path", newPath);
   }
 
@@ -421,10 +898,24 @@ class NotebookDocument {
     }
   }
 
+  /**
+   * Attach a MIME bundle to a markdown/raw cell.
+   * @returns {string|null} The attachment name actually stored
+   */
+  addCellAttachment(index, name, bundle) {
+    const cell = this.cells[index];
+    if (!cell || cell.type === "code") return null;
+    const attachmentName = cell.addAttachment(name, bundle);
+    this.setModified(true);
+    this.emitter.emit("did-change");
+    return attachmentName;
+  }
+
   toggleCellOutput(index) {
     const cell = this.cells[index];
     if (cell) {
       cell.toggleOutputVisibility();
+      this.updateModifiedState();
       this.emitter.emit("did-change");
     }
   }
@@ -433,10 +924,26 @@ class NotebookDocument {
     const cell = this.cells[index];
     if (cell) {
       cell.toggleInputVisibility();
+      this.updateModifiedState();
       this.emitter.emit("did-change");
     }
   }
 
+  /**
+   * Collapse or expand the sections of heading cells.
+   * @param {number[]} indexes - Indexes of heading cells
+   * @param {boolean} collapsed
+   */
+  setHeadingsCollapsed(indexes, collapsed) {
+    const cells = indexes
+      .map((index) => this.cells[index])
+      .filter((cell) => cell && cell.isHeadingCollapsed() !== collapsed);
+    if (cells.length === 0) return;
+    for (const cell of cells) cell.setHeadingCollapsed(collapsed);
+    this.updateModifiedState();
+    this.emitter.emit("did-change");
+  }
+
   // Event handlers
   onDidChange(callback) {
     return this.emitter.on("did-change", callback);
@@ -486,12 +993,19 @@ class NotebookDocument {
    * Used to detect when undo returns to saved state.
    */
   _computeContentHash() {
-    // Create a simple hash based on cell content
-    const content = this.cells
-      .map((cell) => {
-        return `${cell.type}:${cell.source}:${JSON.stringify(cell.outputs)}`;
-      })
-      .join("|");
+    // Create a simple hash based on cell content. The nbformat version and,
+    // from 4.5 on, cell ids are saved too (see the repairs in
+    // notebook-validator.js).
+    const withIds = this.nbformat_minor >= 5;
+    const content = [
+      this.nbformat_minor,
+      ...this.cells.map((cell) => {
+        const id = withIds ? cell.id : "";
+        const attachments = cell.hasAttachments?.() ? JSON.stringify(cell.attachments) : "";
+        const metadata = JSON.stringify(cell.metadata);
+        return `${id}:${cell.type}:${cell.source}:${JSON.stringify(cell.outputs)}:${attachments}:${metadata}`;
+      }),
+    ].join("|");
     // Simple string hash
     let hash = 0;
     for (let i = 0; i < content.length; i++) {
@@ -503,11 +1017,14 @@ class NotebookDocument {
   }
 
   /**
-   * Store the current content hash as the saved state.
+   * Store the current content and its hash as the saved state.
    * Called after save or load.
+   * @param {Object} [savedNotebook] - The notebook as written to the file,
+   *   when the save policy cleaned it; it is the base for merging disk changes
    */
-  _updateSavedContentHash() {
+  _updateSavedContentHash(savedNotebook = this.toJSON()) {
     this._savedContentHash = this._computeContentHash();
+    this._savedContent = JSON.stringify(savedNotebook);
   }
 
   /**
@@ -528,19 +1045,97 @@ class NotebookDocument {
     this.setModified(shouldBeModified);
   }
 
+  /**
+   * Read the file into the document.
+   * @returns {boolean} False when the file had git conflict markers and was
+   *   loaded as a merge with conflicts (see _applyGitConflict)
+   */
   async _loadFromFile() {
     const content = await this.file.read();
-    const notebook = JSON.parse(content);
+    let notebook;
+    try {
+      notebook = JSON.parse(content);
+    } catch (error) {
+      const { hasConflictMarkers } = getGitConflict();
+      if (!hasConflictMarkers(content)) throw error;
+      this._applyGitConflict(content);
+      return false;
+    }
+    const { getNotebookSignature, isSignatureTrusted } = getNotebookTrust();
+    const wasTrusted = this.trusted;
+    this._fileSignature = getNotebookSignature(notebook);
+    this.trusted = isSignatureTrusted(this._fileSignature);
+    // Validated as read: loading fills in what is missing, e.g. cell ids.
+    this._validate(notebook);
     this._applyNotebookData(notebook);
+    if (this.trusted !== wasTrusted) {
+      this.emitter.emit("did-change-trust", this.trusted);
+    }
+    return true;
+  }
+
+  // Load both sides of a file left with git conflict markers, merged cell by
+  // cell. Conflicting cells show "ours" and are listed in mergeConflicts;
+  // saving writes the merged notebook without markers.
+  _applyGitConflict(content) {
+    const { resolveGitConflict } = getGitConflict();
+    const result = resolveGitConflict(content);
+    const labels = { mine: `in ${result.oursLabel}`, theirs: `in ${result.theirsLabel}` };
+
+    if (this.trusted) {
+      this.trusted = false;
+      this.emitter.emit("did-change-trust", false);
+    }
+    this._fileSignature = null;
+    this._applyNotebookData(result.notebook);
+    this.mergeConflicts = new Map(
+      result.conflicts.map((conflict) => [conflict.id, { ...conflict, labels }]),
+    );
+    this.emitter.emit("did-change-merge-conflicts");
+
+    const count = result.conflicts.length;
+    const details = [
+      count > 0
+        ? `${count} ${count === 1 ? "cell conflicts" : "cells conflict"} between ${
+            result.oursLabel
+          } and ${result.theirsLabel}. Choose a version for each in the notebook.`
+        : `The changes of ${result.oursLabel} and ${result.theirsLabel} were merged without conflicts.`,
+      "Save the notebook to write it without conflict markers.",
+    ];
+    if (result.metadataConflicts.length > 0) {
+      details.push(
+        `Kept the ${result.oursLabel} notebook metadata for: ${result.metadataConflicts.join(", ")}.`,
+      );
+    }
+    atom.notifications.addWarning("Notebook has git merge conflicts", {
+      detail: details.join("\n"),
+      dismissable: true,
+    });
+  }
+
+  // A clean load is the saved state. A file with git conflict markers has
+  // none until the merged notebook is saved.
+  _finishFileLoad(clean) {
+    this.setModified(!clean);
+    if (clean) {
+      this._updateSavedContentHash();
+    } else {
+      this._savedContentHash = null;
+      this._savedContent = null;
+    }
   }
 
   async _loadFromFileWithRetries(maxAttempts = 5, delayMs = 150) {
+    return this._withFileReadRetries(() => this._loadFromFile(), maxAttempts, delayMs);
+  }
+
+  // Retry `task` while the file reads as incomplete JSON (still being written).
+  async _withFileReadRetries(task, maxAttempts = 5, delayMs = 150) {
     let lastError = null;
 
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
-        await this._loadFromFile();
-        return;
+        return await task();
       } catch (error) {
         lastError = error;
 
@@ -566,7 +1161,11 @@ class NotebookDocument {
   _applyNotebookData(notebook, options = {}) {
     this.nbformat = notebook.nbformat || 4;
     this.nbformat_minor = notebook.nbformat_minor || 5;
+    const previousWidgetState = JSON.stringify(this.metadata?.widgets);
     this.metadata = notebook.metadata || {};
+    if (this._widgetManager && JSON.stringify(this.metadata.widgets) !== previousWidgetState) {
+      this._widgetManager.loadSavedState(this.metadata);
+    }
 
     const CellModelClass = getCellModel();
     const preserveRuntimeOutputs = options.preserveRuntimeOutputs === true;
@@ -576,8 +1175,6 @@ class NotebookDocument {
       previousCells.map((cell) => [
         cell.id,
         {
-          outputVisible: cell.outputVisible,
-          inputVisible: cell.inputVisible,
           status: cell.status,
           startTime: cell.startTime,
           lastRunTime: cell.lastRunTime,
@@ -598,7 +1195,11 @@ class NotebookDocument {
       runtimeOutputsByPrevId = new Map(
         previousCells.map((cell) => [
           cell.id,
-          { outputs: cell.outputs || [], executionCount: cell.executionCount },
+          {
+            outputs: cell.outputs || [],
+            executionCount: cell.executionCount,
+            outputsTrusted: cell.outputsTrusted,
+          },
         ]),
       );
       claimedPrevIds = new Set(
@@ -611,17 +1212,23 @@ class NotebookDocument {
     this.cells = (notebook.cells || []).map((cellData, index) => {
       let outputs = cellData.outputs || [];
       let executionCount = cellData.execution_count;
+      let outputsTrusted;
       if (preserveRuntimeOutputs) {
         let runtime = cellData.id ? runtimeOutputsByPrevId.get(cellData.id) : null;
         if (!runtime) {
           const fallback = previousCells[index];
           if (fallback && !claimedPrevIds.has(fallback.id)) {
-            runtime = { outputs: fallback.outputs || [], executionCount: fallback.executionCount };
+            runtime = {
+              outputs: fallback.outputs || [],
+              executionCount: fallback.executionCount,
+              outputsTrusted: fallback.outputsTrusted,
+            };
           }
         }
         if (runtime) {
           outputs = runtime.outputs;
           executionCount = runtime.executionCount;
+          outputsTrusted = runtime.outputsTrusted;
         }
       }
       const cell = new CellModelClass({
@@ -631,6 +1238,8 @@ class NotebookDocument {
         outputs,
         executionCount,
         metadata: cellData.metadata || {},
+        attachments: cellData.attachments,
+        outputsTrusted,
       });
       const previousCell = previousCellsById.get(cell.id);
       if (previousCell) {
@@ -641,8 +1250,6 @@ class NotebookDocument {
       }
       const runtimeState = runtimeStateById.get(cell.id);
       if (runtimeState) {
-        cell.outputVisible = runtimeState.outputVisible;
-        cell.inputVisible = runtimeState.inputVisible;
         cell.status = runtimeState.status;
         cell.startTime = runtimeState.startTime;
         cell.lastRunTime = runtimeState.lastRunTime;
@@ -665,6 +1272,7 @@ class NotebookDocument {
       );
     }
     this._resubscribeCells();
+    this._updatePairing();
   }
 
   _watchFile() {
@@ -686,6 +1294,7 @@ class NotebookDocument {
         this.filePath = newPath;
         this.file = new File(newPath);
         this._watchFile();
+        this._updatePairing();
         this.emitter.emit("did-change-path", newPath);
       }),
       this.file.onDidDelete(() => {
@@ -719,18 +1328,27 @@ class NotebookDocument {
     if (this._isSaving || this._fileChangePromise || !this.file) return;
 
     if (this.isModified()) {
-      atom.notifications.addWarning("Notebook changed on disk", {
-        detail: "The notebook has unsaved edits, so the disk changes were not applied.",
-        dismissable: true,
+      if (!this._savedContent) {
+        atom.notifications.addWarning("Notebook changed on disk", {
+          detail: "The notebook has unsaved edits, so the disk changes were not applied.",
+          dismissable: true,
+        });
+        return;
+      }
+      this._fileChangePromise = this._mergeFileChange().finally(() => {
+        this._fileChangePromise = null;
       });
-      return;
+      return this._fileChangePromise;
     }
 
     this._fileChangePromise = (async () => {
       try {
-        await this._loadFromFileWithRetries();
-        this.setModified(false);
-        this._updateSavedContentHash();
+        const clean = await this._loadFromFileWithRetries();
+        this._finishFileLoad(clean);
+        if (clean && this.mergeConflicts.size > 0) {
+          this.mergeConflicts.clear();
+          this.emitter.emit("did-change-merge-conflicts");
+        }
         this.emitter.emit("did-reload");
         this.emitter.emit("did-change");
       } catch (error) {
@@ -746,6 +1364,56 @@ class NotebookDocument {
     return this._fileChangePromise;
   }
 
+  // Merge disk changes into a notebook with unsaved edits: cells changed on
+  // one side only are taken over, conflicting cells keep the editor's version
+  // and are listed in mergeConflicts until resolved.
+  async _mergeFileChange() {
+    let theirs;
+    try {
+      theirs = await this._withFileReadRetries(async () => JSON.parse(await this.file.read(true)));
+    } catch (error) {
+      atom.notifications.addError("Failed to read notebook after file change", {
+        detail: error.message,
+        dismissable: true,
+      });
+      return;
+    }
+
+    const { mergeNotebooks } = getNotebookMerge();
+    const result = mergeNotebooks(JSON.parse(this._savedContent), this.toJSON(), theirs);
+    if (result.changes === 0) return;
+
+    // The disk content is the base of the next merge. The editor content
+    // still differs from it, so there is no saved state to undo back to.
+    this._savedContent = JSON.stringify(result.theirs);
+    this._savedContentHash = null;
+    this._fileSignature = getNotebookTrust().getNotebookSignature(theirs);
+
+    for (const conflict of result.conflicts) this.mergeConflicts.set(conflict.id, conflict);
+    this._replaceNotebookData(result.notebook);
+    this.emitter.emit("did-change-merge-conflicts");
+
+    const details = [];
+    if (result.metadataConflicts.length > 0) {
+      details.push(`Kept your notebook metadata for: ${result.metadataConflicts.join(", ")}.`);
+    }
+    if (result.conflicts.length > 0) {
+      const count = result.conflicts.length;
+      details.unshift(
+        `${count} ${count === 1 ? "cell conflicts" : "cells conflict"} with your unsaved edits. ` +
+          "Choose a version for each in the notebook.",
+      );
+      atom.notifications.addWarning("Merged notebook changes from disk", {
+        detail: details.join("\n"),
+        dismissable: true,
+      });
+    } else {
+      atom.notifications.addInfo("Merged notebook changes from disk", {
+        detail: details.join("\n") || undefined,
+      });
+    }
+  }
+
   onDidChangeModified(callback) {
     return this.emitter.on("did-change-modified", callback);
   }
@@ -770,6 +1438,15 @@ class NotebookDocument {
       disposable.dispose?.();
     }
     this._cellSubscriptions.clear();
+    this._widgetManager?.destroy();
+    this._widgetManager = null;
+    this._executionQueue?.destroy();
+    this._executionQueue = null;
+    this._recovery?.destroy();
+    this._recovery = null;
+    this._pairingSubscription?.dispose();
+    this._pairing?.destroy();
+    this._pairing = null;
     this.disposables.dispose();
     this.emitter.emit("did-destroy");
     this.emitter.dispose();
@@ -0,0 +1,144 @@
+/**
+ * Notebook exports to other document formats. Exporters take a
+ * NotebookDocument and return the exported text together with any files it
+ * links to, leaving the writing to the caller.
+ */
+
+const Anser = require("anser");
+const { getNotebookLanguage } = require("./notebook-language");
+
+const IMAGE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/svg+xml": "svg",
+};
+
+function asText(value) {
+  return Array.isArray(value) ? value.join("") : String(value ?? "");
+}
+
+// Use a fence longer than any backtick run in the text, so it can't be closed
+// early by the content.
+function fence(text, language = "") {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const marker = "`".repeat(Math.max(3, longestRun + 1));
+  const body = text.endsWith("\n") ? text : `${text}\n`;
+  return `${marker}${language}\n${body}${marker}`;
+}
+
+function toFileName(name) {
+  return name.replace(/[^\w.-]+/g, "_");
+}
+
+function decodeImage(mime, value) {
+  const text = asText(value);
+  if (mime === "image/svg+xml") return Buffer.from(text, "utf8");
+  return Buffer.from(text.replace(/\s/g, ""), "base64");
+}
+
+class MarkdownExport {
+  constructor(filesDirectory) {
+    this.filesDirectory = filesDirectory;
+    this.files = new Map(); // file name -> Buffer
+  }
+
+  // Store a file under the files directory and return its link target.
+  addFile(name, content) {
+    const extension = name.includes(".") ? name.slice(name.lastIndexOf(".")) : "";
+    const stem = name.slice(0, name.length - extension.length);
+    let fileName = name;
+    for (let i = 1; this.files.has(fileName); i++) {
+      fileName = `${stem}_${i}${extension}`;
+    }
+    this.files.set(fileName, content);
+    return encodeURI(`${this.filesDirectory}/${fileName}`);
+  }
+
+  renderMarkdownCell(cell, cellIndex) {
+    const attachments = cell.attachments || {};
+    return cell.source.replace(/attachment:([^\s)"'>]+)/g, (match, encodedName) => {
+      let name = encodedName;
+      try {
+        name = decodeURIComponent(encodedName);
+      } catch (error) {
+        // Keep the raw name when it isn't valid percent-encoding.
+      }
+      const bundle = attachments[name];
+      const mime = bundle && Object.keys(bundle).find((type) => IMAGE_EXTENSIONS[type]);
+      if (!mime) return match;
+      return this.addFile(`cell${cellIndex}_${toFileName(name)}`, decodeImage(mime, bundle[mime]));
+    });
+  }
+
+  renderOutput(output, fileStem) {
+    if (output.output_type === "stream") {
+      return fence(Anser.ansiToText(asText(output.text)));
+    }
+    if (output.output_type === "error") {
+      const traceback = output.traceback?.length
+        ? output.traceback.join("\n")
+        : `${output.ename}: ${output.evalue}`;
+      return fence(Anser.ansiToText(traceback));
+    }
+
+    const data = output.data || {};
+    const imageMime = Object.keys(IMAGE_EXTENSIONS).find((mime) => data[mime] != null);
+    if (imageMime) {
+      const link = this.addFile(
+        `${fileStem}.${IMAGE_EXTENSIONS[imageMime]}`,
+        decodeImage(imageMime, data[imageMime]),
+      );
+      return `![output](${link})`;
+    }
+    if (data["text/markdown"] != null) return asText(data["text/markdown"]).trim();
+    if (data["text/latex"] != null) return asText(data["text/latex"]).trim();
+    if (data["text/plain"] != null) return fence(asText(data["text/plain"]));
+    return null;
+  }
+
+  renderCell(cell, cellIndex, language) {
+    if (cell.type === "markdown") return [this.renderMarkdownCell(cell, cellIndex)];
+    if (cell.type !== "code") return [cell.source];
+
+    const blocks = [fence(cell.source, language)];
+    (cell.outputs || []).forEach((output, outputIndex) => {
+      const block = this.renderOutput(output, `output_${cellIndex}_${outputIndex}`);
+      if (block) blocks.push(block);
+    });
+    return blocks;
+  }
+}
+
+/**
+ * Export a notebook as Markdown. Code cells become fenced blocks in the
+ * notebook language, stream, error and text outputs become plain fenced
+ * blocks, and images (outputs and markdown attachments) are returned as files
+ * to be written to `filesDirectory`, which the Markdown links to.
+ * @param {NotebookDocument} notebook
+ * @param {Object} options
+ * @param {string} options.filesDirectory - Path of the files directory
+ *   relative to the Markdown file, e.g. `analysis_files`
+ * @returns {{markdown: string, files: Map<string, Buffer>}}
+ */
+function exportToMarkdown(notebook, { filesDirectory }) {
+  const language = getNotebookLanguage(notebook.metadata || {});
+  const exporter = new MarkdownExport(filesDirectory);
+  const blocks = [];
+
+  for (let i = 0; i < notebook.getCellCount(); i++) {
+    const cell = notebook.getCell(i);
+    for (const block of exporter.renderCell(cell, i, language)) {
+      if (block.trim()) blocks.push(block.trimEnd());
+    }
+  }
+
+  return {
+    markdown: `${blocks.join("\n\n")}\n`,
+    files: exporter.files,
+  };
+}
+
+module.exports = {
+  exportToMarkdown,
+};
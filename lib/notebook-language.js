@@ -65,6 +65,40 @@ const LANGUAGE_SCOPES = {
   swift: ["source.swift"],
 };
 
+// Script conventions per language: file extension, line comment (also used
+// for markdown cells in percent scripts) and shebang, where the language has
+// one.
+const LANGUAGE_SYNTAX = {
+  python: { extension: "py", comment: "#", shebang: "#!/usr/bin/env python" },
+  javascript: { extension: "js", comment: "//", shebang: "#!/usr/bin/env node" },
+  typescript: { extension: "ts", comment: "//", shebang: null },
+  r: { extension: "R", comment: "#", shebang: "#!/usr/bin/env Rscript" },
+  julia: { extension: "jl", comment: "#", shebang: "#!/usr/bin/env julia" },
+  ruby: { extension: "rb", comment: "#", shebang: "#!/usr/bin/env ruby" },
+  go: { extension: "go", comment: "//", shebang: null },
+  rust: { extension: "rs", comment: "//", shebang: null },
+  c: { extension: "c", comment: "//", shebang: null },
+  cpp: { extension: "cpp", comment: "//", shebang: null },
+  csharp: { extension: "cs", comment: "//", shebang: null },
+  fsharp: { extension: "fsx", comment: "//", shebang: null },
+  java: { extension: "java", comment: "//", shebang: null },
+  scala: { extension: "scala", comment: "//", shebang: null },
+  sql: { extension: "sql", comment: "--", shebang: null },
+  shell: { extension: "sh", comment: "#", shebang: "#!/usr/bin/env bash" },
+  pwsh: { extension: "ps1", comment: "#", shebang: "#!/usr/bin/env pwsh" },
+  php: { extension: "php", comment: "//", shebang: null },
+  perl: { extension: "pl", comment: "#", shebang: "#!/usr/bin/env perl" },
+  lua: { extension: "lua", comment: "--", shebang: "#!/usr/bin/env lua" },
+  matlab: { extension: "m", comment: "%", shebang: null },
+  octave: { extension: "m", comment: "%", shebang: "#!/usr/bin/env octave" },
+  clojure: { extension: "clj", comment: ";;", shebang: null },
+  groovy: { extension: "groovy", comment: "//", shebang: "#!/usr/bin/env groovy" },
+  kotlin: { extension: "kt", comment: "//", shebang: null },
+  swift: { extension: "swift", comment: "//", shebang: "#!/usr/bin/env swift" },
+};
+
+const DEFAULT_SYNTAX = { extension: "txt", comment: "#", shebang: null };
+
 function normalizeLanguage(language) {
   if (!language) return null;
 
@@ -103,6 +137,31 @@ function getGrammarScopesForLanguage(language) {
   return LANGUAGE_SCOPES[normalized] || [`source.${normalized}`, `text.${normalized}`];
 }
 
+/**
+ * Script conventions for a notebook: `{ language, extension, comment,
+ * shebang }`. `language_info.file_extension` takes precedence over the
+ * table's extension; `shebang` is null when the language has none.
+ */
+function getLanguageSyntax(metadata = {}) {
+  const language = getNotebookLanguage(metadata);
+  const syntax = LANGUAGE_SYNTAX[language] || DEFAULT_SYNTAX;
+  const fileExtension = String(metadata.language_info?.file_extension || "").replace(/^\./, "");
+  return { language, ...syntax, extension: fileExtension || syntax.extension };
+}
+
+/**
+ * Line comment for scripts with the given extension (`py`, `.R`, ...).
+ */
+function getCommentForExtension(extension) {
+  const normalized = String(extension || "")
+    .replace(/^\./, "")
+    .toLowerCase();
+  const syntax = Object.values(LANGUAGE_SYNTAX).find(
+    (entry) => entry.extension.toLowerCase() === normalized,
+  );
+  return (syntax || DEFAULT_SYNTAX).comment;
+}
+
 function getGrammarForLanguage(language) {
   for (const scope of getGrammarScopesForLanguage(language)) {
     const grammar = atom.grammars.grammarForScopeName(scope);
@@ -112,8 +171,10 @@ function getGrammarForLanguage(language) {
 }
 
 module.exports = {
+  getCommentForExtension,
   getGrammarForLanguage,
   getGrammarScopesForLanguage,
+  getLanguageSyntax,
   getNotebookLanguage,
   normalizeLanguage,
 };
@@ -0,0 +1,279 @@
+/**
+ * Cell-level three-way merge of notebooks (nbformat JSON). `base` is the
+ * content last loaded or saved, `mine` the notebook being edited and
+ * `theirs` the file as changed on disk. Cells are matched by id; a cell
+ * changed on one side only takes that side, and a cell changed differently
+ * on both sides is a conflict that keeps "mine" until it is resolved.
+ */
+
+const { v4: uuidv4 } = require("uuid");
+
+// Per-cell fields merged independently. Outputs and execution count travel
+// together; when only they differ on both sides, the editor's (live) outputs
+// win without a conflict.
+const CELL_FIELDS = ["cell_type", "source", "metadata", "attachments", "outputs"];
+
+function asText(value) {
+  return Array.isArray(value) ? value.join("") : String(value ?? "");
+}
+
+function getField(cell, field) {
+  switch (field) {
+    case "source":
+      return asText(cell.source);
+    case "outputs":
+      return { outputs: cell.outputs || [], execution_count: cell.execution_count ?? null };
+    case "metadata":
+      return cell.metadata || {};
+    case "attachments":
+      return cell.attachments || {};
+    default:
+      return cell[field];
+  }
+}
+
+function setField(cell, field, source) {
+  if (field === "outputs") {
+    if ("outputs" in source) cell.outputs = source.outputs;
+    if ("execution_count" in source) cell.execution_count = source.execution_count;
+    return;
+  }
+  if (field in source) {
+    cell[field] = source[field];
+  } else {
+    delete cell[field];
+  }
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function cellsEqual(a, b) {
+  return CELL_FIELDS.every((field) => isEqual(getField(a, field), getField(b, field)));
+}
+
+// nbformat < 4.5 cells have no ids. Give each id-less cell the id of the
+// unclaimed reference cell with the same type and source, or else of the
+// reference cell at the same position, or a new one. Same-source cells claim
+// their ids first, so an inserted cell doesn't take the id of the cell it
+// pushed down.
+function withCellIds(cells, referenceCells) {
+  const claimed = new Set(cells.map((cell) => cell.id).filter(Boolean));
+  const available = (cell) => cell.id && !claimed.has(cell.id);
+  const ids = cells.map((cell) => {
+    if (cell.id) return cell.id;
+    const source = asText(cell.source);
+    const reference = referenceCells.find(
+      (candidate) =>
+        available(candidate) &&
+        candidate.cell_type === cell.cell_type &&
+        asText(candidate.source) === source,
+    );
+    if (reference) claimed.add(reference.id);
+    return reference ? reference.id : null;
+  });
+  return cells.map((cell, index) => {
+    if (cell.id) return cell;
+    let id = ids[index];
+    if (!id) {
+      const reference = referenceCells[index];
+      id = reference && available(reference) ? reference.id : uuidv4();
+      claimed.add(id);
+    }
+    return { ...cell, id };
+  });
+}
+
+/**
+ * Merge both sides of a cell present in all three notebooks.
+ * @returns {{cell: Object, conflict: Object|null}}
+ */
+function mergeCell(base, mine, theirs) {
+  const cell = { ...mine };
+  const alternative = { ...mine };
+  const conflicting = [];
+
+  for (const field of CELL_FIELDS) {
+    const baseValue = getField(base, field);
+    const mineValue = getField(mine, field);
+    const theirsValue = getField(theirs, field);
+    if (isEqual(mineValue, theirsValue) || isEqual(theirsValue, baseValue)) continue;
+    if (isEqual(mineValue, baseValue)) {
+      setField(cell, field, theirs);
+      setField(alternative, field, theirs);
+      continue;
+    }
+    setField(alternative, field, theirs);
+    conflicting.push(field);
+  }
+
+  const conflict = conflicting.some((field) => field !== "outputs")
+    ? { id: mine.id, fields: conflicting, mine: cell, theirs: alternative }
+    : null;
+  return { cell, conflict };
+}
+
+// Cell ids in merged order. The side that kept the base order yields to the
+// other side's reordering; cells only the secondary side has go after their
+// nearest predecessor on that side.
+function orderCellIds(baseIds, mineIds, theirsIds, keep) {
+  const inBase = new Set(baseIds);
+  const keptBaseOrder = (ids) => {
+    const common = ids.filter((id) => inBase.has(id) && keep.has(id));
+    const expected = baseIds.filter((id) => common.includes(id));
+    return isEqual(common, expected);
+  };
+  const [primary, secondary] =
+    keptBaseOrder(mineIds) && !keptBaseOrder(theirsIds)
+      ? [theirsIds, mineIds]
+      : [mineIds, theirsIds];
+
+  const order = primary.filter((id) => keep.has(id));
+  const placed = new Set(order);
+  secondary.forEach((id, index) => {
+    if (placed.has(id) || !keep.has(id)) return;
+    let position = 0;
+    for (let i = index - 1; i >= 0; i--) {
+      const predecessor = order.indexOf(secondary[i]);
+      if (predecessor !== -1) {
+        position = predecessor + 1;
+        break;
+      }
+    }
+    order.splice(position, 0, id);
+    placed.add(id);
+  });
+  return order;
+}
+
+// Notebook metadata merges key by key; on conflicting keys the editor's
+// value is kept.
+function mergeMetadata(base = {}, mine = {}, theirs = {}) {
+  const result = { ...mine };
+  const conflicts = [];
+  let changed = false;
+  const keys = new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)]);
+  for (const key of keys) {
+    if (isEqual(theirs[key], base[key])) continue;
+    changed = true;
+    if (isEqual(mine[key], base[key])) {
+      if (key in theirs) {
+        result[key] = theirs[key];
+      } else {
+        delete result[key];
+      }
+    } else if (!isEqual(mine[key], theirs[key])) {
+      conflicts.push(key);
+    }
+  }
+  return { metadata: result, conflicts, changed };
+}
+
+// Without a common ancestor, cells (and metadata keys) that are equal on
+// both sides are taken as unchanged and the others as changed on both sides.
+function guessBase(mineCells, theirsCells, mine, theirs) {
+  const theirsById = new Map(theirsCells.map((cell) => [cell.id, cell]));
+  const cells = [];
+  for (const cell of mineCells) {
+    const other = theirsById.get(cell.id);
+    if (other) cells.push(cellsEqual(cell, other) ? cell : { id: cell.id });
+  }
+  const metadata = {};
+  for (const [key, value] of Object.entries(mine.metadata || {})) {
+    if (isEqual(value, theirs.metadata?.[key])) metadata[key] = value;
+  }
+  return { metadata, cells };
+}
+
+/**
+ * Three-way merge of notebooks.
+ * @param {Object|null} base - Common ancestor (content last loaded or saved),
+ *   or null when there is none, e.g. for a git conflict without diff3 base
+ * @param {Object} mine - Notebook with the editor's changes
+ * @param {Object} theirs - Notebook with the external changes
+ * @returns {{notebook: Object, theirs: Object, conflicts: Object[],
+ *   metadataConflicts: string[], changes: number}} `notebook` is the merge
+ *   with conflicting cells as in `mine`. Each conflict has the cell `id`, the
+ *   conflicting `fields` and both versions of the merged cell as `mine` and
+ *   `theirs`; a version is null where that side deleted the cell. `theirs` is
+ *   the external notebook with cell ids filled in, `changes` the number of
+ *   cells and metadata keys changed on disk (0 when there is nothing to merge).
+ */
+function mergeNotebooks(base, mine, theirs) {
+  let baseCells = withCellIds(base?.cells || [], []);
+  const mineCells = withCellIds(mine.cells || [], baseCells);
+  const theirsCells = withCellIds(theirs.cells || [], base ? baseCells : mineCells);
+  if (!base) {
+    base = guessBase(mineCells, theirsCells, mine, theirs);
+    baseCells = base.cells;
+  }
+  const baseById = new Map(baseCells.map((cell) => [cell.id, cell]));
+  const mineById = new Map(mineCells.map((cell) => [cell.id, cell]));
+  const theirsById = new Map(theirsCells.map((cell) => [cell.id, cell]));
+
+  const cellsById = new Map();
+  const conflicts = [];
+  let changes = 0;
+  const ids = new Set([...mineById.keys(), ...theirsById.keys(), ...baseById.keys()]);
+
+  for (const id of ids) {
+    const baseCell = baseById.get(id) || null;
+    const mineCell = mineById.get(id) || null;
+    const theirsCell = theirsById.get(id) || null;
+    const theirsChanged = baseCell
+      ? !theirsCell || !cellsEqual(baseCell, theirsCell)
+      : Boolean(theirsCell);
+    if (theirsChanged) changes++;
+
+    if (mineCell && theirsCell) {
+      // A cell added on both sides under one id has no base to compare with.
+      const { cell, conflict } = mergeCell(baseCell || { id }, mineCell, theirsCell);
+      cellsById.set(id, cell);
+      if (conflict) conflicts.push(conflict);
+    } else if (mineCell) {
+      // Deleted on disk: fine unless the editor changed the cell.
+      if (!baseCell) {
+        cellsById.set(id, mineCell);
+      } else if (!cellsEqual(baseCell, mineCell)) {
+        cellsById.set(id, mineCell);
+        conflicts.push({ id, fields: [], mine: mineCell, theirs: null });
+      }
+    } else if (theirsCell) {
+      // Deleted in the editor: fine unless the file changed the cell.
+      if (!baseCell) {
+        cellsById.set(id, theirsCell);
+      } else if (!cellsEqual(baseCell, theirsCell)) {
+        cellsById.set(id, theirsCell);
+        conflicts.push({ id, fields: [], mine: null, theirs: theirsCell });
+      }
+    }
+  }
+
+  const order = orderCellIds(
+    baseCells.map((cell) => cell.id),
+    mineCells.map((cell) => cell.id),
+    theirsCells.map((cell) => cell.id),
+    new Set(cellsById.keys()),
+  );
+  const metadata = mergeMetadata(base.metadata, mine.metadata, theirs.metadata);
+  if (metadata.changed) changes++;
+
+  return {
+    notebook: {
+      nbformat: Math.max(mine.nbformat || 4, theirs.nbformat || 4),
+      nbformat_minor: Math.max(mine.nbformat_minor || 0, theirs.nbformat_minor || 0),
+      metadata: metadata.metadata,
+      cells: order.map((id) => cellsById.get(id)),
+    },
+    theirs: { ...theirs, cells: theirsCells },
+    conflicts: conflicts.filter(({ id }) => cellsById.has(id)),
+    metadataConflicts: metadata.conflicts,
+    changes,
+  };
+}
+
+module.exports = {
+  mergeNotebooks,
+  orderCellIds,
+};
@@ -0,0 +1,132 @@
+/**
+ * NotebookPairing - keeps a notebook and its paired percent-format script in
+ * step, following jupytext's `metadata.jupytext.formats` (e.g.
+ * `"ipynb,py:percent"`). The owning NotebookDocument writes the script when
+ * it saves; external edits to the script are reported through
+ * onDidChangeScript.
+ */
+
+const path = require("path");
+const { Emitter, File } = require("atom");
+const { getCommentForExtension } = require("./notebook-language");
+const { exportPercentScript } = require("./percent-script");
+
+const PERCENT_FORMAT = "percent";
+
+/**
+ * Extension of the percent script paired with a notebook, from
+ * `metadata.jupytext.formats`, or null when the notebook isn't paired.
+ * Entries with a path prefix (`scripts//py:percent`) aren't supported.
+ */
+function getPairedExtension(metadata) {
+  const formats = metadata?.jupytext?.formats;
+  if (typeof formats !== "string") return null;
+
+  for (const entry of formats.split(",")) {
+    const [extension, format] = entry.trim().split(":");
+    if (format !== PERCENT_FORMAT || !extension || extension.includes("/")) continue;
+    return extension.replace(/^\./, "");
+  }
+  return null;
+}
+
+/**
+ * Path of the script paired with the notebook at `notebookPath`, or null.
+ */
+function getPairedScriptPath(notebookPath, metadata) {
+  const extension = getPairedExtension(metadata);
+  if (!notebookPath || !extension) return null;
+  return path.join(
+    path.dirname(notebookPath),
+    `${path.basename(notebookPath, path.extname(notebookPath))}.${extension}`,
+  );
+}
+
+/**
+ * `metadata` with the notebook paired to a `<extension>` percent script, or
+ * unpaired when `extension` is null.
+ */
+function withPairedExtension(metadata, extension) {
+  const jupytext = { ...(metadata.jupytext || {}) };
+  if (extension) {
+    jupytext.formats = `ipynb,${extension}:${PERCENT_FORMAT}`;
+  } else {
+    delete jupytext.formats;
+  }
+
+  const result = { ...metadata, jupytext };
+  if (Object.keys(jupytext).length === 0) delete result.jupytext;
+  return result;
+}
+
+class NotebookPairing {
+  constructor(scriptPath) {
+    this.scriptPath = scriptPath;
+    // Line comment of the script language, for cell markers and markdown
+    this.comment = getCommentForExtension(path.extname(scriptPath));
+    this.file = new File(scriptPath);
+    this.emitter = new Emitter();
+    this._watchSubscription = null;
+    this._changeTimeout = null;
+    // The script text last written or read, so our own writes and touches
+    // that don't change the content are not reported as edits.
+    this._lastText = null;
+    this._watch();
+  }
+
+  _watch() {
+    this._watchSubscription?.dispose();
+    this._watchSubscription = null;
+    if (!this.file.existsSync()) return;
+    this._watchSubscription = this.file.onDidChange(() => {
+      clearTimeout(this._changeTimeout);
+      this._changeTimeout = setTimeout(() => {
+        this._changeTimeout = null;
+        this._handleChange();
+      }, 200);
+    });
+  }
+
+  async _handleChange() {
+    let text;
+    try {
+      text = await this.file.read(true);
+    } catch (error) {
+      return;
+    }
+    if (text == null || text === this._lastText) return;
+    this._lastText = text;
+    this.emitter.emit("did-change-script", text);
+  }
+
+  /**
+   * Write the notebook to the paired script.
+   * @param {Object} notebook - nbformat JSON
+   */
+  async write(notebook) {
+    const text = exportPercentScript(notebook, { comment: this.comment });
+    const existed = this.file.existsSync();
+    if (existed && text === this._lastText) return;
+
+    this._lastText = text;
+    await this.file.write(text);
+    if (!existed) this._watch();
+  }
+
+  onDidChangeScript(callback) {
+    return this.emitter.on("did-change-script", callback);
+  }
+
+  destroy() {
+    clearTimeout(this._changeTimeout);
+    this._watchSubscription?.dispose();
+    this.emitter.dispose();
+  }
+}
+
+module.exports = {
+  NotebookPairing,
+  getPairedExtension,
+  getPairedScriptPath,
+  withPairedExtension,
+};
@@ -0,0 +1,227 @@
+/**
+ * NotebookRecovery - periodic backups of a notebook's unsaved state, outputs
+ * included, in `<config>/jupyter-next/recovery`. Serialized workspace state
+ * covers a normal quit; these backups cover a crash. When a notebook with a
+ * leftover backup is opened, the user is offered to recover it.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { CompositeDisposable } = require("atom");
+const { diffNotebooks } = require("./notebook-diff");
+
+// Changed cells listed in the recovery prompt
+const MAX_PREVIEW_CELLS = 3;
+const MAX_PREVIEW_LINE_LENGTH = 60;
+
+function getRecoveryDirectory() {
+  return path.join(atom.getConfigDirPath(), "jupyter-next", "recovery");
+}
+
+// Saved notebooks are backed up under their path, untitled ones under the
+// document's recoveryId (kept in the serialized workspace state).
+function getBackupPath(document) {
+  const key = document.filePath ? `file:${document.filePath}` : `untitled:${document.recoveryId}`;
+  const name = crypto.createHash("sha256").update(key).digest("hex").slice(0, 32);
+  return path.join(getRecoveryDirectory(), `${name}.json`);
+}
+
+function truncate(text) {
+  return text.length > MAX_PREVIEW_LINE_LENGTH
+    ? `${text.slice(0, MAX_PREVIEW_LINE_LENGTH - 1)}…`
+    : text;
+}
+
+// What recovering would change, e.g. "2 modified, 1 inserted cells" and the
+// first changed line of the first few cells.
+function describeRecovery(current, backup) {
+  const { cells, stats } = diffNotebooks(current, backup);
+  const changed = cells.filter((entry) => entry.status !== "unchanged");
+  const counts = ["modified", "inserted", "deleted"]
+    .filter((status) => stats[status] > 0)
+    .map((status) => `${stats[status]} ${status}`);
+  const lines = [
+    counts.length > 0
+      ? `The backup has ${counts.join(", ")} ${changed.length === 1 ? "cell" : "cells"}.`
+      : "The backup differs only in notebook metadata.",
+  ];
+
+  for (const entry of changed.slice(0, MAX_PREVIEW_CELLS)) {
+    const index = entry.newIndex ?? entry.oldIndex;
+    // The backup's side of the change, or the deleted line
+    const changedLines = entry.sourceDiff.filter(
+      (line) => line.type !== "equal" && line.text.trim(),
+    );
+    const op = changedLines.find((line) => line.type === "insert") || changedLines[0];
+    const summary = op ? truncate(op.text.trim()) : entry.outputs ? "outputs" : "metadata";
+    lines.push(`Cell ${index + 1} (${entry.status}): ${summary}`);
+  }
+  if (changed.length > MAX_PREVIEW_CELLS) {
+    lines.push(`… and ${changed.length - MAX_PREVIEW_CELLS} more`);
+  }
+  return lines.join("\n");
+}
+
+class NotebookRecovery {
+  /**
+   * @param {NotebookDocument} document
+   */
+  constructor(document) {
+    this.document = document;
+    this.backupPath = getBackupPath(document);
+    this._dirty = document.isModified();
+    this._interval = null;
+    this._writePromise = null;
+    // While the recovery prompt is open the backup must not be overwritten.
+    this._offering = false;
+
+    this.disposables = new CompositeDisposable(
+      document.onDidChange(() => {
+        this._dirty = true;
+      }),
+      document.onDidSave(() => this.discard()),
+      document.onDidChangePath(() => {
+        this.discard();
+        this.backupPath = getBackupPath(document);
+        this._dirty = document.isModified();
+      }),
+      atom.config.observe("jupyter-next.recovery.interval", (seconds) => {
+        this._schedule(seconds);
+      }),
+    );
+  }
+
+  _schedule(seconds) {
+    clearInterval(this._interval);
+    this._interval = null;
+    if (seconds > 0) {
+      this._interval = setInterval(() => this.backup(), seconds * 1000);
+    }
+  }
+
+  /**
+   * Write a backup if the notebook changed since the last one. Unmodified
+   * notebooks have nothing to recover, so their backup is removed.
+   */
+  async backup() {
+    if (!this._dirty || this._offering || this._writePromise) return;
+    this._dirty = false;
+    if (!this.document.isModified()) {
+      await this.discard();
+      return;
+    }
+
+    const { document } = this;
+    const backup = {
+      path: document.filePath || null,
+      savedAt: Date.now(),
+      trustedCellIds: document.cells.filter((cell) => cell.outputsTrusted).map((cell) => cell.id),
+      notebook: document.toJSON(),
+    };
+    const backupPath = this.backupPath;
+    const tempPath = `${backupPath}.tmp`;
+    this._writePromise = (async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(backupPath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(backup), { mode: 0o600 });
+        await fs.promises.rename(tempPath, backupPath);
+      } catch (error) {
+        console.warn("[jupyter-next] Could not write recovery backup:", error.message);
+      } finally {
+        this._writePromise = null;
+      }
+    })();
+    return this._writePromise;
+  }
+
+  /**
+   * Remove the backup.
+   */
+  async discard() {
+    this._dirty = false;
+    await this._writePromise;
+    await fs.promises.rm(this.backupPath, { force: true }).catch(() => {});
+  }
+
+  async _readBackup() {
+    try {
+      const backup = JSON.parse(await fs.promises.readFile(this.backupPath, "utf8"));
+      return backup?.notebook ? backup : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Offer to recover a backup left by an earlier session, if there is one
+   * that differs from the notebook as opened.
+   */
+  async offerRecovery() {
+    const backup = await this._readBackup();
+    if (!backup) return;
+    const current = this.document.toJSON();
+    if (JSON.stringify(backup.notebook) === JSON.stringify(current)) {
+      await this.discard();
+      return;
+    }
+
+    const time = new Date(backup.savedAt).toLocaleString();
+    const name = this.document.filePath ? path.basename(this.document.filePath) : "Untitled";
+    this._offering = true;
+    const notification = atom.notifications.addWarning(`Recover unsaved changes from ${time}?`, {
+      description: `${name} has a backup of edits that were never saved.`,
+      detail: describeRecovery(current, backup.notebook),
+      dismissable: true,
+      buttons: [
+        {
+          text: "Recover",
+          onDidClick: () => {
+            this.document.replaceNotebook(backup.notebook, backup.trustedCellIds);
+            notification.dismiss();
+          },
+        },
+        {
+          text: "Show Changes",
+          onDidClick: () => this.showChanges(backup, time),
+        },
+        {
+          text: "Discard",
+          onDidClick: () => {
+            notification.dismiss();
+            this.discard();
+          },
+        },
+      ],
+    });
+    notification.onDidDismiss(() => {
+      this._offering = false;
+    });
+  }
+
+  showChanges(backup, time) {
+    const NotebookDiffView = require("./notebook-diff-view");
+    const name = this.document.filePath ? path.basename(this.document.filePath) : "Untitled";
+    const view = new NotebookDiffView({
+      title: `${name} (Opened ↔ Backup)`,
+      oldLabel: "Opened",
+      newLabel: `Backup from ${time}`,
+      oldNotebook: this.document.toJSON(),
+      newNotebook: backup.notebook,
+    });
+    return atom.workspace.open(view, { split: "right" });
+  }
+
+  /**
+   * Stop backing up. The backup is removed: a closed notebook was either
+   * saved, discarded on purpose, or kept in the serialized workspace state.
+   */
+  destroy() {
+    clearInterval(this._interval);
+    this._interval = null;
+    this.disposables.dispose();
+    this.discard();
+  }
+}
+
+module.exports = NotebookRecovery;
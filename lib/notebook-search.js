@@ -363,7 +363,7 @@ class NotebookSearchAdapter {
     const editor = this.notebookEditor;
     const view = editor.view;
 
-    editor.setActiveCell(match.cellIndex);
+    editor.revealCell(match.cellIndex);
     if (view) {
       view.setMode("edit");
       view.scrollToCell(match.cellIndex);
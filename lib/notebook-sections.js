@@ -0,0 +1,117 @@
+/**
+ * Markdown heading sections, as in JupyterLab. A heading cell's section runs
+ * up to the next cell with a heading of the same or a higher level; when the
+ * heading is collapsed (`metadata.jupyter.heading_collapsed`) the rest of its
+ * section is hidden.
+ */
+
+const HEADING_PATTERN = /^(#{1,6})[ \t]+(\S.*)$/;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+/**
+ * The headings of a markdown cell's source, skipping fenced code blocks
+ * (where `#` starts e.g. a Python comment).
+ * @param {string} source
+ * @returns {Array<{level: number, text: string, row: number}>}
+ */
+function getMarkdownHeadings(source) {
+  const headings = [];
+  // The opening fence of the code block we're in
+  let fence = null;
+  (source || "").split(/\r?\n/).forEach((line, row) => {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      return;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      return;
+    }
+    const match = line.match(HEADING_PATTERN);
+    if (match) headings.push({ level: match[1].length, text: match[2].trim(), row });
+  });
+  return headings;
+}
+
+/**
+ * Level of a cell's highest heading, or null for cells without one.
+ * @param {CellModel} cell
+ * @returns {number|null}
+ */
+function getHeadingLevel(cell) {
+  if (cell?.type !== "markdown") return null;
+  let level = null;
+  for (const heading of getMarkdownHeadings(cell.source)) {
+    level = Math.min(level ?? Infinity, heading.level);
+  }
+  return level;
+}
+
+/**
+ * Index of the heading cell whose section contains the cell at `index`
+ * (the cell itself when it has a heading), or -1.
+ */
+function getSectionHeadingIndex(cells, index) {
+  for (let i = Math.min(index, cells.length - 1); i >= 0; i--) {
+    if (getHeadingLevel(cells[i]) !== null) return i;
+  }
+  return -1;
+}
+
+/**
+ * Cell indexes of the section headed by the cell at `headingIndex`, heading
+ * included.
+ * @returns {{start: number, end: number}|null} `end` is exclusive; null when
+ *   the cell has no heading
+ */
+function getSectionRange(cells, headingIndex) {
+  const level = getHeadingLevel(cells[headingIndex]);
+  if (level === null) return null;
+  let end = headingIndex + 1;
+  while (end < cells.length) {
+    const nextLevel = getHeadingLevel(cells[end]);
+    if (nextLevel !== null && nextLevel <= level) break;
+    end++;
+  }
+  return { start: headingIndex, end };
+}
+
+/**
+ * Heading levels and collapsed sections of a notebook.
+ * @param {CellModel[]} cells
+ * @returns {{levels: Array<number|null>, hidden: Set<number>,
+ *   hiddenCounts: Map<number, number>}} `hidden` holds the indexes of cells
+ *   inside collapsed sections, `hiddenCounts` the number of cells each
+ *   visible collapsed heading hides
+ */
+function getSections(cells) {
+  const levels = cells.map(getHeadingLevel);
+  const hidden = new Set();
+  const hiddenCounts = new Map();
+  // The visible collapsed heading currently hiding cells
+  let collapsed = null;
+
+  levels.forEach((level, index) => {
+    if (collapsed && (level === null || level > levels[collapsed.index])) {
+      hidden.add(index);
+      collapsed.count++;
+      return;
+    }
+    if (collapsed) hiddenCounts.set(collapsed.index, collapsed.count);
+    collapsed = level !== null && cells[index].isHeadingCollapsed?.() ? { index, count: 0 } : null;
+  });
+  if (collapsed) hiddenCounts.set(collapsed.index, collapsed.count);
+
+  return { levels, hidden, hiddenCounts };
+}
+
+module.exports = {
+  getHeadingLevel,
+  getMarkdownHeadings,
+  getSectionHeadingIndex,
+  getSectionRange,
+  getSections,
+};
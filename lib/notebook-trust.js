@@ -0,0 +1,117 @@
+/**
+ * Notebook trust - Jupyter-style notebook signatures and output sanitizing.
+ *
+ * A notebook is trusted when the HMAC of its content, computed with a secret
+ * key private to this Pulsar profile, is in the local signature store. The
+ * store lives in `<config>/jupyter-next/nbsignatures.json`, never inside the
+ * notebook, so a downloaded file cannot vouch for itself.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Oldest signatures are dropped beyond this many entries.
+const MAX_SIGNATURES = 10000;
+
+let store = null;
+let DOMPurify = null;
+
+function getStorePath() {
+  return path.join(atom.getConfigDirPath(), "jupyter-next", "nbsignatures.json");
+}
+
+function writeStore() {
+  const storePath = getStorePath();
+  try {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(storePath, JSON.stringify(store), { mode: 0o600 });
+  } catch (error) {
+    console.warn("[jupyter-next] Could not write notebook signatures:", error.message);
+  }
+}
+
+function loadStore() {
+  if (store) return store;
+  try {
+    const data = JSON.parse(fs.readFileSync(getStorePath(), "utf8"));
+    if (typeof data.secret === "string" && data.signatures && typeof data.signatures === "object") {
+      store = data;
+      return store;
+    }
+  } catch (error) {
+    // Missing or unreadable store: start a fresh one with a new key.
+  }
+  store = { secret: crypto.randomBytes(32).toString("hex"), signatures: {} };
+  writeStore();
+  return store;
+}
+
+// JSON with object keys sorted, so the signature doesn't depend on the key
+// order a particular writer (Jupyter, us, a text editor) happened to use.
+function canonicalJSON(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) return item;
+    const sorted = {};
+    for (const name of Object.keys(item).sort()) sorted[name] = item[name];
+    return sorted;
+  });
+}
+
+/**
+ * Compute the signature of notebook JSON. The nbformat 3 `metadata.signature`
+ * field is ignored, as Jupyter does.
+ */
+function getNotebookSignature(notebook) {
+  const metadata = { ...(notebook?.metadata || {}) };
+  delete metadata.signature;
+  return crypto
+    .createHmac("sha256", loadStore().secret)
+    .update(canonicalJSON({ ...notebook, metadata }))
+    .digest("hex");
+}
+
+function isSignatureTrusted(signature) {
+  return !!signature && Object.prototype.hasOwnProperty.call(loadStore().signatures, signature);
+}
+
+function trustSignature(signature) {
+  if (!signature) return;
+  const { signatures } = loadStore();
+  signatures[signature] = Date.now();
+
+  const entries = Object.entries(signatures);
+  if (entries.length > MAX_SIGNATURES) {
+    entries.sort((a, b) => a[1] - b[1]);
+    for (const [stale] of entries.slice(0, entries.length - MAX_SIGNATURES)) {
+      delete signatures[stale];
+    }
+  }
+  writeStore();
+}
+
+function getDOMPurify() {
+  if (!DOMPurify) {
+    DOMPurify = require("dompurify");
+  }
+  return DOMPurify;
+}
+
+/**
+ * Strip scripts, event handlers and `javascript:` URLs from untrusted HTML.
+ */
+function sanitizeHtml(html) {
+  return getDOMPurify().sanitize(html, { ADD_ATTR: ["target"] });
+}
+
+function sanitizeSvg(svg) {
+  return getDOMPurify().sanitize(svg, { USE_PROFILES: { svg: true, svgFilters: true } });
+}
+
+module.exports = {
+  getNotebookSignature,
+  isSignatureTrusted,
+  trustSignature,
+  sanitizeHtml,
+  sanitizeSvg,
+};
@@ -0,0 +1,290 @@
+/**
+ * nbformat validation. Notebooks are checked with jsonschema against the
+ * nbformat 4.x JSON schemas in `schemas/` (as shipped with the nbformat
+ * package) for their minor version, plus what a schema can't express, such
+ * as duplicate cell ids. Problems that can be repaired name a repair (see
+ * REPAIRS).
+ */
+
+const { v4: uuidv4 } = require("uuid");
+
+const LATEST_MINOR = 5;
+const CELL_ID_PATTERN = /^[a-zA-Z0-9-_]{1,64}$/;
+
+// Repairs by name, with the title of their "Fix" action
+const REPAIRS = {
+  "generate-ids": "Replace invalid cell ids",
+  "deduplicate-ids": "Give duplicate cells new ids",
+  "upgrade-minor": `Upgrade to nbformat 4.${LATEST_MINOR}`,
+};
+
+const schemas = new Map();
+let validator = null;
+
+function getValidator() {
+  if (!validator) {
+    const { Validator } = require("jsonschema");
+    validator = new Validator();
+  }
+  return validator;
+}
+
+function getSchema(minor) {
+  if (!schemas.has(minor)) {
+    schemas.set(minor, require(`./schemas/nbformat.v4.${minor}.schema.json`));
+  }
+  return schemas.get(minor);
+}
+
+function isValidId(id) {
+  return typeof id === "string" && CELL_ID_PATTERN.test(id);
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function formatOptions(options) {
+  const quoted = options.map((option) => JSON.stringify(option));
+  return quoted.length > 1
+    ? `${quoted.slice(0, -1).join(", ")} or ${quoted[quoted.length - 1]}`
+    : quoted[0];
+}
+
+// e.g. ["outputs", 0, "data", "text/plain"] -> outputs[0].data["text/plain"]
+function formatPath(path) {
+  return path
+    .map((key, index) => {
+      if (typeof key === "number") return `[${key}]`;
+      if (!/^[A-Za-z_]\w*$/.test(key)) return `[${JSON.stringify(key)}]`;
+      return index === 0 ? key : `.${key}`;
+    })
+    .join("");
+}
+
+function resolveRef(root, ref) {
+  return ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, key) => node[key], root);
+}
+
+// Validate `value` against `schema`, a part of the nbformat schema `root`.
+// Errors are {path, message}; `path` leads to the value, or to the missing
+// or extra property.
+function check(value, schema, root, path = []) {
+  const result = getValidator().validate(value, { ...schema, definitions: root.definitions });
+  return result.errors.flatMap((error) => {
+    const errorPath = [...path, ...error.path];
+    switch (error.name) {
+      case "oneOf":
+        return checkOneOf(error.instance, error.schema.oneOf, root, errorPath);
+      case "type":
+        return [{ path: errorPath, message: `must be ${[].concat(error.argument).join(" or ")}` }];
+      case "enum":
+        return [
+          {
+            path: errorPath,
+            message: `must be ${formatOptions(error.argument)}, not ${JSON.stringify(error.instance)}`,
+          },
+        ];
+      case "required":
+        return [{ path: [...errorPath, error.argument], message: "is missing" }];
+      case "additionalProperties":
+        return [{ path: [...errorPath, error.argument], message: "is not allowed" }];
+      case "minLength":
+        return [{ path: errorPath, message: "must not be empty" }];
+      case "pattern":
+        return [{ path: errorPath, message: `must match ${error.argument}` }];
+      case "minimum":
+        return [{ path: errorPath, message: `must be at least ${error.argument}` }];
+      case "maximum":
+        return [{ path: errorPath, message: `must be at most ${error.argument}` }];
+      default:
+        return [{ path: errorPath, message: error.message }];
+    }
+  });
+}
+
+// Cells and outputs are a oneOf of types told apart by `cell_type` or
+// `output_type`. Report the errors of the type the value claims to be, or
+// the type field itself when it names none.
+function checkOneOf(value, options, root, path) {
+  const optionSchemas = options.map((option) =>
+    option.$ref ? resolveRef(root, option.$ref) : option,
+  );
+  const typeNames = optionSchemas.map(getTypeName);
+  const key = typeNames[0]?.key;
+  if (typeOf(value) !== "object" || !key || typeNames.some((name) => name?.key !== key)) {
+    // e.g. a multiline string, which is a string or an array of strings
+    const types = optionSchemas.flatMap((schema) => (schema.type ? [].concat(schema.type) : []));
+    return [
+      {
+        path,
+        message:
+          types.length > 0 ? `must be ${types.join(" or ")}` : "does not match any known form",
+      },
+    ];
+  }
+  const index = typeNames.findIndex((name) => name.value === value[key]);
+  if (index !== -1) {
+    const errors = check(value, optionSchemas[index], root, path);
+    return errors.length > 0 ? errors : [{ path, message: "is ambiguous" }];
+  }
+  const expected = `; expected ${formatOptions(typeNames.map((name) => name.value))}`;
+  return [
+    {
+      path: [...path, key],
+      message:
+        key in value
+          ? `${JSON.stringify(value[key])} is not a known ${key}${expected}`
+          : `is missing${expected}`,
+    },
+  ];
+}
+
+// The property with a single allowed value that names a type, e.g.
+// {key: "output_type", value: "stream"}
+function getTypeName(schema) {
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (property.enum?.length === 1) return { key, value: property.enum[0] };
+  }
+  return null;
+}
+
+function createProblem(severity, message, path = [], repair = null) {
+  const inCell = path[0] === "cells" && typeof path[1] === "number";
+  const rest = inCell ? path.slice(2) : path;
+  const location = rest.length > 0 ? `${formatPath(rest)} ` : "";
+  return {
+    severity,
+    message: `${location}${message}`,
+    cellIndex: inCell ? path[1] : null,
+    repair,
+  };
+}
+
+/**
+ * Validate nbformat JSON.
+ * @param {Object} notebook
+ * @returns {Array<{severity: "error"|"warning", message: string,
+ *   cellIndex: number|null, repair: string|null}>} `cellIndex` is the cell
+ *   the problem is in, `repair` the name of a repair in REPAIRS that fixes it
+ */
+function validateNotebook(notebook) {
+  if (typeOf(notebook) !== "object") {
+    return [createProblem("error", "The notebook is not a JSON object")];
+  }
+  if (notebook.nbformat !== 4) {
+    return [
+      createProblem(
+        "error",
+        `must be 4; nbformat ${JSON.stringify(notebook.nbformat)} is not supported`,
+        ["nbformat"],
+      ),
+    ];
+  }
+
+  const problems = [];
+  const minor = notebook.nbformat_minor;
+  const knownMinor = Number.isInteger(minor) && minor >= 0 && minor <= LATEST_MINOR;
+  const schemaMinor = knownMinor ? minor : LATEST_MINOR;
+  if (Number.isInteger(minor) && minor > LATEST_MINOR) {
+    problems.push(
+      createProblem(
+        "warning",
+        `4.${minor} is newer than nbformat 4.${LATEST_MINOR}, which it is validated against`,
+        ["nbformat_minor"],
+      ),
+    );
+  }
+
+  // Cell ids are checked here rather than by the schema, to tell missing,
+  // invalid and duplicate ids apart and offer the matching repair.
+  const cells = Array.isArray(notebook.cells) ? notebook.cells : [];
+  if (schemaMinor < 5) {
+    if (cells.some((cell) => cell && typeof cell === "object" && "id" in cell)) {
+      problems.push(
+        createProblem(
+          "error",
+          `is 4.${minor}, which doesn't allow cell ids (added in nbformat 4.5)`,
+          ["nbformat_minor"],
+          "upgrade-minor",
+        ),
+      );
+    }
+  } else {
+    const seen = new Set();
+    cells.forEach((cell, index) => {
+      if (!cell || typeof cell !== "object") return;
+      const path = ["cells", index];
+      if (!("id" in cell)) {
+        // Loading gives the cell an id, which the next save writes.
+        problems.push(createProblem("error", "Cell has no id; saving the notebook adds one", path));
+      } else if (!isValidId(cell.id)) {
+        problems.push(
+          createProblem(
+            "error",
+            `Cell id ${JSON.stringify(cell.id)} is invalid; ids are 1 to 64 letters, digits, "-" or "_"`,
+            path,
+            "generate-ids",
+          ),
+        );
+      } else if (seen.has(cell.id)) {
+        problems.push(
+          createProblem(
+            "error",
+            `Cell id "${cell.id}" is already used by another cell`,
+            path,
+            "deduplicate-ids",
+          ),
+        );
+      }
+      if (isValidId(cell.id)) seen.add(cell.id);
+    });
+  }
+
+  const schema = getSchema(schemaMinor);
+  for (const error of check(notebook, schema, schema)) {
+    const { path } = error;
+    if (path.length === 3 && path[0] === "cells" && path[2] === "id") continue;
+    const repair = path.length === 1 && path[0] === "nbformat_minor" ? "upgrade-minor" : null;
+    problems.push(createProblem("error", error.message, path, repair));
+  }
+  return problems;
+}
+
+/**
+ * Apply a repair to nbformat JSON.
+ * @param {Object} notebook - nbformat JSON, left unchanged
+ * @param {string} repair - A name in REPAIRS
+ * @returns {Object} The repaired notebook
+ */
+function repairNotebook(notebook, repair) {
+  const result = { ...notebook, cells: (notebook.cells || []).map((cell) => ({ ...cell })) };
+  if (repair === "upgrade-minor") result.nbformat_minor = LATEST_MINOR;
+  if (!(result.nbformat_minor >= 5)) return result;
+
+  // Upgrading leaves every cell with a valid, unique id.
+  const fixInvalid = repair !== "deduplicate-ids";
+  const fixDuplicates = repair !== "generate-ids";
+  const seen = new Set();
+  for (const cell of result.cells) {
+    if (fixInvalid && !isValidId(cell.id)) {
+      cell.id = uuidv4();
+    } else if (fixDuplicates && seen.has(cell.id)) {
+      cell.id = uuidv4();
+    }
+    seen.add(cell.id);
+  }
+  return result;
+}
+
+module.exports = {
+  REPAIRS,
+  repairNotebook,
+  validateNotebook,
+};
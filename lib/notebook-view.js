@@ -5,6 +5,38 @@
 const { CompositeDisposable, Disposable } = require("atom");
 const CellView = require("./cell-view");
 const { getNotebookLanguage } = require("./notebook-language");
+const { getSections } = require("./notebook-sections");
+
+// Extra area rendered above and below the viewport of a virtualized notebook,
+// in viewport heights, so short scrolls never reveal placeholders.
+const VIRTUAL_OVERSCAN = 1;
+// Vertical gap between cells (.jupyter-cell margin-bottom).
+const CELL_SPACING = 10;
+
+function getEditorLineHeight() {
+  const fontSize = atom.config.get("editor.fontSize") || 14;
+  const lineHeight = parseFloat(atom.config.get("editor.lineHeight")) || 1.5;
+  // editor.lineHeight is either a multiplier ("1.5") or a pixel size ("20px")
+  return lineHeight > 4 ? lineHeight : fontSize * lineHeight;
+}
+
+function countLines(value) {
+  const text = Array.isArray(value) ? value.join("") : String(value || "");
+  return text.split("\n").length;
+}
+
+function estimateOutputHeight(output, lineHeight) {
+  if (output.output_type === "stream") return countLines(output.text) * lineHeight;
+  if (output.output_type === "error") return countLines(output.traceback || []) * lineHeight;
+
+  const data = output.data || {};
+  if (data["application/vnd.plotly.v1+json"]) return 450;
+  if (data["image/png"] || data["image/jpeg"] || data["image/gif"] || data["image/svg+xml"]) {
+    return 300;
+  }
+  if (data["text/html"]) return 10 * lineHeight;
+  return countLines(data["text/plain"]) * lineHeight;
+}
 
 /**
  * NotebookView manages rendering of the entire notebook.
@@ -15,6 +47,15 @@ class NotebookView {
     this.props = props;
     this.mode = "command"; // 'command' or 'edit'
     this.cellViews = new Map(); // cell.id -> CellView
+    this.placeholders = new Map(); // cell.id -> placeholder element (virtualized, unmounted)
+    this._cellHeights = new Map(); // cell.id -> last measured height of the mounted cell
+    this._pinnedCellIds = new Set(); // mounted until they enter the render window
+    this._retainedCellIds = new Set(); // mounted until released (e.g. hydrogen run targets)
+    this._hiddenCellIds = new Set(); // inside collapsed heading sections
+    this._virtualRangeKey = null;
+    this._virtualWindowFrame = null;
+    this._mountPending = false; // retained cells wait for the next render
+    this._measureFrame = null;
     this.selectedCells = new Set(); // Set of selected cell indices
     this._selectionAnchor = null; // Anchor index for range-extension (shift+arrow / shift+click)
     this.draggingCellIndex = null;
@@ -49,8 +90,14 @@ class NotebookView {
       if (atom.config.get("editor.scrollPastEnd")) {
         this.applyScrollPastEnd();
       }
+      this.scheduleVirtualWindowUpdate();
     });
 
+    this._virtualizationDisposable = atom.config.onDidChange(
+      "jupyter-next.notebook.virtualizationThreshold",
+      () => this.renderCells(),
+    );
+
     // Track mouse button state to avoid mode switch during text selection
     // Also activate pane immediately on mousedown for responsive feel
     this.element.addEventListener("mousedown", () => {
@@ -94,6 +141,7 @@ class NotebookView {
     this.cellsContainer.className = "jupyter-notebook-cells";
     this.element.appendChild(this.cellsContainer);
     this._scrollHandler = () => {
+      this.scheduleVirtualWindowUpdate();
       for (const callback of this.scrollCallbacks) {
         callback();
       }
@@ -272,6 +320,26 @@ class NotebookView {
       ),
     );
 
+    // Kernel name and state; opens the kernel picker
+    const kernelIndicator = document.createElement("button");
+    kernelIndicator.className = "btn btn-sm kernel-indicator";
+    const kernelStatus = document.createElement("span");
+    kernelStatus.className = "kernel-status";
+    kernelIndicator.appendChild(kernelStatus);
+    const kernelName = document.createElement("span");
+    kernelName.className = "kernel-name";
+    kernelIndicator.appendChild(kernelName);
+    this._tooltips.add(
+      atom.tooltips.add(kernelIndicator, {
+        title: () => this.getKernelTooltip(),
+        keyBindingCommand: "jupyter-next:select-kernel",
+      }),
+    );
+    kernelIndicator.onclick = () => editor && editor.showKernelPicker();
+    toolbarLeft.appendChild(kernelIndicator);
+    this.kernelIndicator = kernelIndicator;
+    this.updateKernelIndicator();
+
     toolbarLeft.appendChild(this.createSeparator());
 
     // Insert cell above button
@@ -400,6 +468,28 @@ class NotebookView {
     modeIndicator.textContent = this.mode === "edit" ? "Edit" : "Command";
     toolbarLeft.appendChild(modeIndicator);
 
+    // Trust indicator, shown while untrusted HTML/SVG output is sanitized
+    const trustIndicator = document.createElement("button");
+    trustIndicator.className = "btn btn-sm icon icon-shield trust-indicator";
+    trustIndicator.textContent = "Not Trusted";
+    this._tooltips.add(
+      atom.tooltips.add(trustIndicator, {
+        title: "Stored HTML and SVG are sanitized. Click to trust this notebook",
+        keyBindingCommand: "jupyter-next:trust-notebook",
+      }),
+    );
+    trustIndicator.onclick = () => editor && editor.trustNotebook();
+    toolbarLeft.appendChild(trustIndicator);
+    this.trustIndicator = trustIndicator;
+    this.updateTrustIndicator();
+
+    // Counts of the cells running and queued in hydrogen-next
+    const executionStatus = document.createElement("span");
+    executionStatus.className = "execution-status";
+    toolbarLeft.appendChild(executionStatus);
+    this.executionStatus = executionStatus;
+    this.updateExecutionStatus();
+
     toolbar.appendChild(toolbarLeft);
 
     return toolbar;
@@ -428,18 +518,39 @@ class NotebookView {
     const { cells, activeCellIndex, editor } = this.props;
 
     if (!this.cellsContainer) return;
+    this._mountPending = false;
 
     // Track which cell IDs we've seen
     const currentCellIds = new Set();
     const cellsArray = cells || [];
 
+    // Cells in collapsed heading sections stay in place, hidden, so hydrogen
+    // can still run them (see notebook-sections.js).
+    const sections = getSections(cellsArray);
+    this._hiddenCellIds = new Set([...sections.hidden].map((index) => cellsArray[index].id));
+
+    // Large notebooks only mount cells near the viewport; the rest are
+    // fixed-height placeholders (see shouldMountCell).
+    const renderWindow = this.isVirtualized() ? this.getRenderWindow(cellsArray) : null;
+    this._virtualRangeKey = renderWindow ? `${renderWindow.first}:${renderWindow.last}` : null;
+
     // Create/update cell views
     const notebookLanguage = getNotebookLanguage(editor?.document?.metadata || {});
+    const notebookTrusted = editor?.document?.isTrusted?.() === true;
+    const executionQueue = editor?.document?.getExecutionQueue?.();
     cellsArray.forEach((cell, index) => {
       currentCellIds.add(cell.id);
 
       let cellView = this.cellViews.get(cell.id);
 
+      if (!this.shouldMountCell(cell, index, renderWindow)) {
+        if (cellView) this.unmountCell(cell.id);
+        this.getPlaceholder(cell);
+        return;
+      }
+      this.placeholders.delete(cell.id);
+      const sectionLevel = sections.levels[index];
+
       // Create navigation callbacks for this cell
       const cellProps = {
         cell: cell,
@@ -450,18 +561,34 @@ class NotebookView {
         editor: editor,
         notebookView: this,
         notebookLanguage,
+        notebookTrusted,
         cellSourceRevision: cell.sourceRevision || 0,
+        mergeConflict: editor?.document?.getMergeConflict?.(cell.id) || null,
+        hidden: sections.hidden.has(index),
+        queued: executionQueue?.isQueued(cell.id) === true,
+        onDequeue: () => editor && editor.dequeueCell(index),
+        section:
+          sectionLevel === null
+            ? null
+            : {
+                collapsed: cell.isHeadingCollapsed(),
+                hiddenCount: sections.hiddenCounts.get(index) || 0,
+              },
+        onToggleSection: () =>
+          editor && editor.setSectionCollapsed(index, !cell.isHeadingCollapsed()),
         onCellSelect: (event) => this.handleCellSelect(index, event),
         onFocus: () => editor && editor.setActiveCell(index),
         onSourceChange: (source) => editor && editor.updateCellSource(index, source),
+        onAddAttachment: (name, bundle) => editor && editor.addCellAttachment(index, name, bundle),
         onEnterEditMode: () => this.enterEditMode(),
         onEnterCommandMode: () => this.setMode("command"),
         onNavigateToPreviousCell: () => {
-          if (editor && index > 0) {
-            editor.setActiveCell(index - 1);
+          const previousIndex = this.getVisibleCellIndex(index, -1);
+          if (editor && previousIndex !== -1) {
+            editor.setActiveCell(previousIndex);
             // Focus the previous cell and move cursor to last row
             requestAnimationFrame(() => {
-              const prevCellView = this.cellViews.get(cellsArray[index - 1]?.id);
+              const prevCellView = this.cellViews.get(cellsArray[previousIndex]?.id);
               if (prevCellView) {
                 prevCellView.focus();
                 if (prevCellView.editor) {
@@ -473,11 +600,12 @@ class NotebookView {
           }
         },
         onNavigateToNextCell: () => {
-          if (editor && index < cellsArray.length - 1) {
-            editor.setActiveCell(index + 1);
+          const nextIndex = this.getVisibleCellIndex(index, 1);
+          if (editor && nextIndex !== -1) {
+            editor.setActiveCell(nextIndex);
             // Focus the next cell and move cursor to first row
             requestAnimationFrame(() => {
-              const nextCellView = this.cellViews.get(cellsArray[index + 1]?.id);
+              const nextCellView = this.cellViews.get(cellsArray[nextIndex]?.id);
               if (nextCellView) {
                 nextCellView.focus();
                 if (nextCellView.editor) {
@@ -506,12 +634,25 @@ class NotebookView {
         this.cellViews.delete(id);
       }
     }
+    const trackedIds = [
+      ...this.placeholders.keys(),
+      ...this._cellHeights.keys(),
+      ...this._retainedCellIds,
+    ];
+    for (const id of trackedIds) {
+      if (!currentCellIds.has(id)) {
+        this.placeholders.delete(id);
+        this._cellHeights.delete(id);
+        this._pinnedCellIds.delete(id);
+        this._retainedCellIds.delete(id);
+      }
+    }
 
     // Only rebuild DOM if cell order changed or new cells added/removed
     // This preserves focus when just updating cell contents (like outputs)
     const currentChildren = Array.from(this.cellsContainer.children);
     const expectedOrder = cellsArray
-      .map((cell) => this.cellViews.get(cell.id)?.element)
+      .map((cell, index) => this.getCellElement(index))
       .filter(Boolean);
 
     const needsReorder =
@@ -522,11 +663,20 @@ class NotebookView {
       // Preserve scroll position before DOM manipulation
       const scrollTop = this.cellsContainer.scrollTop;
 
-      // Only manipulate DOM when order actually changed
-      this.cellsContainer.innerHTML = "";
-      expectedOrder.forEach((element) => {
-        this.cellsContainer.appendChild(element);
-      });
+      // Only touch the nodes that changed: swapping a placeholder for a
+      // mounted cell must not detach (and blur) the neighbouring editors.
+      const expectedSet = new Set(expectedOrder);
+      for (const child of currentChildren) {
+        if (!expectedSet.has(child)) child.remove();
+      }
+      let child = this.cellsContainer.firstChild;
+      for (const element of expectedOrder) {
+        if (child === element) {
+          child = child.nextSibling;
+        } else {
+          this.cellsContainer.insertBefore(element, child);
+        }
+      }
 
       // Restore scroll position after DOM is updated
       requestAnimationFrame(() => {
@@ -535,6 +685,183 @@ class NotebookView {
         }
       });
     }
+
+    if (renderWindow) this.scheduleCellMeasurement();
+  }
+
+  /**
+   * Whether the notebook is large enough to render only the cells near the
+   * viewport (jupyter-next.notebook.virtualizationThreshold).
+   */
+  isVirtualized() {
+    const threshold = atom.config.get("jupyter-next.notebook.virtualizationThreshold");
+    return threshold > 0 && (this.props.cells?.length || 0) > threshold;
+  }
+
+  /**
+   * Compute the [first, last] cell indexes overlapping the viewport plus
+   * overscan, from measured heights where known and estimates otherwise.
+   */
+  getRenderWindow(cells) {
+    const container = this.cellsContainer;
+    const viewportHeight = container.clientHeight || window.innerHeight;
+    const overscan = viewportHeight * VIRTUAL_OVERSCAN;
+    const start = container.scrollTop - overscan;
+    const end = container.scrollTop + viewportHeight + overscan;
+
+    let first = -1;
+    let last = -1;
+    let top = 0;
+    for (let index = 0; index < cells.length; index++) {
+      const bottom = this._hiddenCellIds.has(cells[index].id)
+        ? top
+        : top + this.getCellHeight(cells[index]) + CELL_SPACING;
+      if (bottom >= start && top <= end) {
+        if (first === -1) first = index;
+        last = index;
+      } else if (top > end) {
+        break;
+      }
+      top = bottom;
+    }
+    return { first, last };
+  }
+
+  shouldMountCell(cell, index, renderWindow) {
+    if (!renderWindow) return true;
+    if (index >= renderWindow.first && index <= renderWindow.last) {
+      this._pinnedCellIds.delete(cell.id);
+      return true;
+    }
+    return (
+      index === this.props.activeCellIndex ||
+      this._pinnedCellIds.has(cell.id) ||
+      this._retainedCellIds.has(cell.id) ||
+      cell.startTime !== null
+    );
+  }
+
+  getCellHeight(cell) {
+    return this._cellHeights.get(cell.id) ?? this.estimateCellHeight(cell);
+  }
+
+  estimateCellHeight(cell) {
+    const lineHeight = getEditorLineHeight();
+    // Cell padding and borders around the input and output areas
+    let height = 16;
+
+    if (cell.inputVisible !== false) {
+      const inputHeight = countLines(cell.source) * lineHeight;
+      const maxInputHeight = atom.config.get("jupyter-next.input.maxHeight");
+      height += maxInputHeight > 0 ? Math.min(inputHeight, maxInputHeight) : inputHeight;
+    }
+
+    if (cell.type === "code" && cell.outputVisible !== false && cell.outputs?.length) {
+      let outputHeight = 12;
+      for (const output of cell.outputs) {
+        outputHeight += estimateOutputHeight(output, lineHeight);
+      }
+      const maxOutputHeight = atom.config.get("jupyter-next.output.maxHeight");
+      height += maxOutputHeight > 0 ? Math.min(outputHeight, maxOutputHeight) : outputHeight;
+    }
+
+    return Math.round(height);
+  }
+
+  getPlaceholder(cell) {
+    let placeholder = this.placeholders.get(cell.id);
+    if (!placeholder) {
+      placeholder = document.createElement("div");
+      placeholder.className = "jupyter-cell-placeholder";
+      placeholder.dataset.cellId = cell.id;
+      this.placeholders.set(cell.id, placeholder);
+    }
+    placeholder.style.height = `${this.getCellHeight(cell)}px`;
+    placeholder.classList.toggle("section-hidden", this._hiddenCellIds.has(cell.id));
+    return placeholder;
+  }
+
+  unmountCell(cellId) {
+    const cellView = this.cellViews.get(cellId);
+    if (!cellView) return;
+    const height = cellView.element?.offsetHeight;
+    if (height > 0) this._cellHeights.set(cellId, height);
+    cellView.destroy();
+    this.cellViews.delete(cellId);
+  }
+
+  /**
+   * Record real heights of mounted cells once laid out, so placeholders
+   * and the render window match what the user saw.
+   */
+  scheduleCellMeasurement() {
+    if (this._measureFrame) return;
+    this._measureFrame = requestAnimationFrame(() => {
+      this._measureFrame = null;
+      for (const [cellId, cellView] of this.cellViews) {
+        const height = cellView.element?.offsetHeight;
+        if (height > 0) this._cellHeights.set(cellId, height);
+      }
+    });
+  }
+
+  /**
+   * Re-render on the next frame if the render window moved, or in any case
+   * with `mount`, e.g. to mount retained cells.
+   */
+  scheduleVirtualWindowUpdate({ mount = false } = {}) {
+    if (!this.cellsContainer || !this.isVirtualized()) return;
+    if (mount) this._mountPending = true;
+    if (this._virtualWindowFrame) return;
+    this._virtualWindowFrame = requestAnimationFrame(() => {
+      this._virtualWindowFrame = null;
+      if (!this.cellsContainer) return;
+      const { first, last } = this.getRenderWindow(this.props.cells || []);
+      if (this._mountPending || `${first}:${last}` !== this._virtualRangeKey) {
+        this.renderCells();
+      }
+    });
+  }
+
+  /**
+   * Element occupying a cell's slot: the mounted cell or its placeholder.
+   * Use this instead of cellViews for geometry, since virtualized cells
+   * may not be mounted.
+   */
+  getCellElement(index) {
+    const cell = this.props.cells?.[index];
+    if (!cell) return null;
+    return this.cellViews.get(cell.id)?.element || this.placeholders.get(cell.id) || null;
+  }
+
+  /**
+   * Mount a cell now (if virtualized away) and keep it mounted until it
+   * scrolls into the render window, e.g. while scrolling to it.
+   * @returns {CellView|null}
+   */
+  ensureCellMounted(index) {
+    const cell = this.props.cells?.[index];
+    if (!cell) return null;
+    if (!this.cellViews.has(cell.id)) {
+      this._pinnedCellIds.add(cell.id);
+      this.renderCells();
+    }
+    return this.cellViews.get(cell.id) || null;
+  }
+
+  /**
+   * Keep a cell mounted until released, regardless of scrolling (used for
+   * cells hydrogen is running). Cells retained within one frame are mounted
+   * by a single render.
+   * @param {string} cellId
+   */
+  retainCellMount(cellId) {
+    this._retainedCellIds.add(cellId);
+    if (!this.cellViews.has(cellId)) this.scheduleVirtualWindowUpdate({ mount: true });
+  }
+
+  releaseCellMount(cellId) {
+    if (this._retainedCellIds.delete(cellId)) this.scheduleVirtualWindowUpdate();
   }
 
   update(props) {
@@ -542,6 +869,9 @@ class NotebookView {
 
     this.renderCells();
     this.updateCellTypeSelect();
+    this.updateTrustIndicator();
+    this.updateExecutionStatus();
+    this.updateKernelIndicator();
   }
 
   onDidScroll(callback) {
@@ -558,6 +888,42 @@ class NotebookView {
     });
   }
 
+  updateTrustIndicator() {
+    if (!this.trustIndicator) return;
+    const trusted = this.props.editor?.document?.isTrusted?.() !== false;
+    this.trustIndicator.style.display = trusted ? "none" : "";
+  }
+
+  updateKernelIndicator() {
+    if (!this.kernelIndicator) return;
+    const notebook = this.props.editor?.document;
+    const kernelspec = notebook?.metadata?.kernelspec;
+    const name = kernelspec?.display_name || kernelspec?.name || "No Kernel";
+    const status = notebook?.kernelStatus || "none";
+    this.kernelIndicator.querySelector(".kernel-name").textContent = name;
+    this.kernelIndicator.querySelector(".kernel-status").className =
+      `kernel-status kernel-status-${status}`;
+  }
+
+  getKernelTooltip() {
+    const status = this.props.editor?.document?.kernelStatus;
+    return `Kernel ${status ? status : "not running"}. Click to change the kernel`;
+  }
+
+  updateExecutionStatus() {
+    if (!this.executionStatus) return;
+    const { cells, editor } = this.props;
+    const queue = editor?.document?.getExecutionQueue?.();
+    // Counted over the notebook's cells, so deleted cells drop out
+    const running = (cells || []).filter((cell) => queue?.isRunning(cell.id)).length;
+    const queued = (cells || []).filter((cell) => queue?.isQueued(cell.id)).length;
+    const parts = [];
+    if (running > 0) parts.push(`${running} running`);
+    if (queued > 0) parts.push(`${queued} queued`);
+    this.executionStatus.textContent = parts.join(", ");
+    this.executionStatus.style.display = parts.length > 0 ? "" : "none";
+  }
+
   /**
    * Update the cell type dropdown to reflect the active cell's type
    */
@@ -731,13 +1097,7 @@ class NotebookView {
       if (this._selectionAnchor === null) {
         this._selectionAnchor = activeCellIndex;
       }
-      const anchor = this._selectionAnchor;
-      const start = Math.min(anchor, index);
-      const end = Math.max(anchor, index);
-      this.selectedCells.clear();
-      for (let i = start; i <= end; i++) {
-        this.selectedCells.add(i);
-      }
+      this._selectRange(this._selectionAnchor, index);
       if (editor) editor.setActiveCell(index);
     } else {
       // Normal click: clear selection and select only clicked cell
@@ -760,27 +1120,31 @@ class NotebookView {
     const { editor, cells, activeCellIndex } = this.props;
     if (!editor || !cells || cells.length === 0) return;
 
-    const nextIndex = activeCellIndex + direction;
-    if (nextIndex < 0 || nextIndex >= cells.length) return;
+    const nextIndex = this.getVisibleCellIndex(activeCellIndex, direction);
+    if (nextIndex === -1) return;
 
     if (this._selectionAnchor === null) {
       this._selectionAnchor = activeCellIndex;
     }
 
-    const anchor = this._selectionAnchor;
-    const start = Math.min(anchor, nextIndex);
-    const end = Math.max(anchor, nextIndex);
-
-    this.selectedCells.clear();
-    for (let i = start; i <= end; i++) {
-      this.selectedCells.add(i);
-    }
+    this._selectRange(this._selectionAnchor, nextIndex);
 
     editor.setActiveCell(nextIndex);
     this.scrollToCell(nextIndex);
     this.updateCellSelectionClasses();
   }
 
+  // Select the cells from `anchor` to `index`. Cells hidden in collapsed
+  // sections stay out, so commands on the selection don't touch cells that
+  // can't be seen.
+  _selectRange(anchor, index) {
+    const cells = this.props.cells || [];
+    this.selectedCells.clear();
+    for (let i = Math.min(anchor, index); i <= Math.max(anchor, index); i++) {
+      if (cells[i] && !this._hiddenCellIds.has(cells[i].id)) this.selectedCells.add(i);
+    }
+  }
+
   selectPreviousCell() {
     this.extendSelectionByStep(-1);
   }
@@ -862,23 +1226,37 @@ class NotebookView {
     return Array.from(this.selectedCells).sort((a, b) => a - b);
   }
 
+  /**
+   * The nearest cell before (`direction` -1) or after (1) `index` that isn't
+   * hidden in a collapsed section, or -1 when there is none.
+   */
+  getVisibleCellIndex(index, direction) {
+    const cells = this.props.cells || [];
+    for (let i = index + direction; i >= 0 && i < cells.length; i += direction) {
+      if (!this._hiddenCellIds.has(cells[i].id)) return i;
+    }
+    return -1;
+  }
+
   focusPreviousCell() {
     const { editor, activeCellIndex } = this.props;
-    if (editor && activeCellIndex > 0) {
+    const index = this.getVisibleCellIndex(activeCellIndex, -1);
+    if (editor && index !== -1) {
       this._selectionAnchor = null;
       this.clearSelection();
-      editor.setActiveCell(activeCellIndex - 1);
-      this.scrollToCell(activeCellIndex - 1);
+      editor.setActiveCell(index);
+      this.scrollToCell(index);
     }
   }
 
   focusNextCell() {
-    const { editor, activeCellIndex, cells } = this.props;
-    if (editor && cells && activeCellIndex < cells.length - 1) {
+    const { editor, activeCellIndex } = this.props;
+    const index = this.getVisibleCellIndex(activeCellIndex, 1);
+    if (editor && index !== -1) {
       this._selectionAnchor = null;
       this.clearSelection();
-      editor.setActiveCell(activeCellIndex + 1);
-      this.scrollToCell(activeCellIndex + 1);
+      editor.setActiveCell(index);
+      this.scrollToCell(index);
     }
   }
 
@@ -894,11 +1272,12 @@ class NotebookView {
 
   focusLastCell() {
     const { editor, cells } = this.props;
-    if (editor && cells && cells.length > 0) {
+    const index = this.getVisibleCellIndex(cells?.length ?? 0, -1);
+    if (editor && index !== -1) {
       this._selectionAnchor = null;
       this.clearSelection();
-      editor.setActiveCell(cells.length - 1);
-      this.scrollToCell(cells.length - 1);
+      editor.setActiveCell(index);
+      this.scrollToCell(index);
     }
   }
 
@@ -939,7 +1318,7 @@ class NotebookView {
   scrollToCell(index) {
     const cells = this.props.cells;
     if (!cells || !cells[index] || !this.cellsContainer) return;
-    const cellView = this.cellViews.get(cells[index].id);
+    const cellView = this.ensureCellMounted(index);
     if (!cellView || !cellView.element) return;
 
     const container = this.cellsContainer;
@@ -1020,6 +1399,19 @@ class NotebookView {
       this._scrollAnimId = null;
     }
 
+    if (this._virtualWindowFrame) {
+      cancelAnimationFrame(this._virtualWindowFrame);
+      this._virtualWindowFrame = null;
+    }
+    if (this._measureFrame) {
+      cancelAnimationFrame(this._measureFrame);
+      this._measureFrame = null;
+    }
+    if (this._virtualizationDisposable) {
+      this._virtualizationDisposable.dispose();
+      this._virtualizationDisposable = null;
+    }
+
     // Remove global mouse up listener
     if (this._handleGlobalMouseUp) {
       document.removeEventListener("mouseup", this._handleGlobalMouseUp);
@@ -1062,6 +1454,8 @@ class NotebookView {
       cellView.destroy();
     }
     this.cellViews.clear();
+    this.placeholders.clear();
+    this._cellHeights.clear();
 
     this.cellsContainer = null;
     this.element = null;
@@ -2,27 +2,40 @@
  * OutputView - static renderer for stored Jupyter cell outputs.
  */
 
+const { CompositeDisposable, Disposable } = require("atom");
 const Anser = require("anser");
+const MimeRendererRegistry = require("./mime-renderers");
+const { sanitizeHtml, sanitizeSvg } = require("./notebook-trust");
+const { renderLatex, renderMarkdown } = require("./markdown-renderer");
 
 const PLOTLY_MIME = "application/vnd.plotly.v1+json";
-let plotlyModule;
-
-// Resolve plotly.js-dist lazily: prefer a local install, otherwise reuse the
-// copy shipped with hydrogen-next (always present, it provides the kernels).
-function loadPlotly() {
-  if (plotlyModule !== undefined) return plotlyModule;
+const WIDGET_VIEW_MIME = "application/vnd.jupyter.widget-view+json";
+const VEGA_MIMES = ["application/vnd.vega.v5+json", "application/vnd.vega.v4+json"];
+const VEGALITE_MIMES = ["application/vnd.vegalite.v5+json", "application/vnd.vegalite.v4+json"];
+const optionalModules = new Map();
+
+// Resolve a rendering library lazily: prefer a local install, otherwise reuse
+// the copy shipped with hydrogen-next (always present, it provides the kernels).
+function loadOptionalModule(name) {
+  if (optionalModules.has(name)) return optionalModules.get(name);
+  let module = null;
   try {
-    plotlyModule = require("plotly.js-dist");
+    module = require(name);
   } catch (error) {
     try {
       const path = require("path");
       const base = atom.packages.resolvePackagePath("hydrogen-next");
-      plotlyModule = base ? require(path.join(base, "node_modules", "plotly.js-dist")) : null;
+      module = base ? require(path.join(base, "node_modules", name)) : null;
     } catch (fallbackError) {
-      plotlyModule = null;
+      module = null;
     }
   }
-  return plotlyModule;
+  optionalModules.set(name, module);
+  return module;
+}
+
+function loadPlotly() {
+  return loadOptionalModule("plotly.js-dist");
 }
 
 function asText(value) {
@@ -30,10 +43,6 @@ function asText(value) {
   return value == null ? "" : String(value);
 }
 
-function escapeHtml(value) {
-  return asText(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-}
-
 function adjustColorForContrast(rgbValues) {
   const parts = rgbValues.split(",").map((part) => parseInt(part.trim(), 10));
   if (parts.length !== 3) return rgbValues;
@@ -132,59 +141,179 @@ function appendPlotly(parent, figureData) {
   return true;
 }
 
-function appendMimeBundle(parent, output) {
-  const data = output.data || {};
+function appendImage(parent, data, { mimeType }) {
+  const img = document.createElement("img");
+  img.className = "output-image";
+  img.src = `data:${mimeType};base64,${asText(data).replace(/\s/g, "")}`;
+  img.draggable = false;
+  parent.appendChild(img);
+}
 
-  if (data[PLOTLY_MIME] && appendPlotly(parent, data[PLOTLY_MIME])) {
-    return;
-  }
+// Chart text follows the editor foreground on a transparent background, the
+// Vega counterpart of the transparent Plotly layout above.
+function getVegaThemeConfig(element) {
+  const color = getComputedStyle(element).color;
+  return {
+    background: "transparent",
+    title: { color, subtitleColor: color },
+    axis: { domainColor: color, tickColor: color, labelColor: color, titleColor: color },
+    legend: { labelColor: color, titleColor: color },
+    header: { labelColor: color, titleColor: color },
+  };
+}
 
-  if (data["image/png"] || data["image/jpeg"] || data["image/gif"]) {
-    const mime = data["image/png"] ? "image/png" : data["image/jpeg"] ? "image/jpeg" : "image/gif";
-    const img = document.createElement("img");
-    img.className = "output-image";
-    img.src = `data:${mime};base64,${asText(data[mime]).replace(/\s/g, "")}`;
-    img.draggable = false;
-    parent.appendChild(img);
-    return;
-  }
+function appendVega(parent, data, context) {
+  const { mimeType, bundle } = context;
+  const vega = loadOptionalModule("vega");
+  const isVegaLite = VEGALITE_MIMES.includes(mimeType);
+  const vegaLite = isVegaLite ? loadOptionalModule("vega-lite") : null;
+  // Without the libraries, fall through to the bundle's static image.
+  if (!vega || (isVegaLite && !vegaLite)) return false;
 
-  if (data["image/svg+xml"]) {
-    const wrapper = document.createElement("div");
-    wrapper.className = "output-svg";
-    wrapper.innerHTML = asText(data["image/svg+xml"]);
-    parent.appendChild(wrapper);
-    return;
+  let spec = data;
+  if (typeof spec === "string") {
+    try {
+      spec = JSON.parse(spec);
+    } catch (error) {
+      return false;
+    }
   }
+  if (!spec || typeof spec !== "object") return false;
 
-  if (data["text/html"]) {
-    const wrapper = document.createElement("div");
-    wrapper.className = "output-html";
-    wrapper.innerHTML = asText(data["text/html"]);
-    parent.appendChild(wrapper);
-    return;
-  }
+  const container = document.createElement("div");
+  container.className = "output-vega";
+  parent.appendChild(container);
 
-  if (data["text/markdown"]) {
-    const wrapper = document.createElement("div");
-    wrapper.className = "output-markdown";
-    wrapper.innerHTML = escapeHtml(data["text/markdown"]).replace(/\n/g, "<br>");
-    parent.appendChild(wrapper);
-    return;
+  // Like plotly, wait until attached so `width: "container"` charts and the
+  // computed theme colors see the real layout.
+  requestAnimationFrame(async () => {
+    // Re-rendered or destroyed before the frame
+    if (!container.isConnected || context.disposables?.disposed) return;
+    try {
+      const config = getVegaThemeConfig(container);
+      const vegaSpec = isVegaLite ? vegaLite.compile(spec, { config }).spec : spec;
+      const view = new vega.View(vega.parse({ ...vegaSpec, background: "transparent" }, config), {
+        renderer: "svg",
+        container,
+        hover: true,
+      });
+      // Stop the view's timers and listeners with the rendering.
+      context.disposables?.add(new Disposable(() => view.finalize()));
+      await view.runAsync();
+    } catch (error) {
+      container.innerHTML = "";
+      const fallback = ["image/png", "image/svg+xml"].find((type) => bundle[type] != null);
+      if (fallback === "image/png") {
+        appendImage(container, bundle[fallback], { mimeType: fallback });
+      } else if (fallback) {
+        appendSvg(container, bundle[fallback], context);
+      } else {
+        appendText(container, "output-error", `Could not render ${mimeType}: ${error.message}`);
+      }
+    }
+  });
+  return true;
+}
+
+// Untrusted HTML and SVG are rendered through DOMPurify, dropping scripts and
+// event handlers but keeping the markup (tables, inline plots, styling).
+function appendSvg(parent, data, { trusted }) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "output-svg";
+  const svg = asText(data);
+  wrapper.innerHTML = trusted ? svg : sanitizeSvg(svg);
+  parent.appendChild(wrapper);
+}
+
+function appendHtml(parent, data, { trusted }) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "output-html";
+  const html = asText(data);
+  wrapper.innerHTML = trusted ? html : sanitizeHtml(html);
+  parent.appendChild(wrapper);
+}
+
+function appendMarkdown(parent, data) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "output-markdown markdown-rendered";
+  wrapper.innerHTML = renderMarkdown(asText(data));
+  parent.appendChild(wrapper);
+}
+
+// Formulas KaTeX can't typeset (e.g. pandas' tabular LaTeX) fall through to
+// the next representation, usually text/html or the text/plain repr.
+function appendLatex(parent, data) {
+  let html;
+  try {
+    html = renderLatex(asText(data));
+  } catch (error) {
+    return false;
   }
+  const wrapper = document.createElement("div");
+  wrapper.className = "output-latex";
+  wrapper.innerHTML = html;
+  parent.appendChild(wrapper);
+  return true;
+}
 
-  if (data["application/json"]) {
-    appendText(
-      parent,
-      "output-json output-code",
-      JSON.stringify(data["application/json"], null, 2),
-    );
-    return;
+// Built-in renderers, best first. Ranks are spaced so renderers registered
+// through the jupyter service can slot in between.
+const BUILTIN_RENDERERS = [
+  {
+    mimeTypes: [WIDGET_VIEW_MIME],
+    rank: 5,
+    render: (parent, data, context) => getWidgetViews().renderWidgetView(parent, data, context),
+  },
+  { mimeTypes: [PLOTLY_MIME], rank: 10, render: appendPlotly },
+  { mimeTypes: [...VEGALITE_MIMES, ...VEGA_MIMES], rank: 15, render: appendVega },
+  { mimeTypes: ["text/latex"], rank: 18, render: appendLatex },
+  { mimeTypes: ["image/png", "image/jpeg", "image/gif"], rank: 20, render: appendImage },
+  { mimeTypes: ["image/svg+xml"], rank: 30, render: appendSvg },
+  { mimeTypes: ["text/html"], rank: 40, render: appendHtml },
+  { mimeTypes: ["text/markdown"], rank: 50, render: appendMarkdown },
+  {
+    mimeTypes: ["application/json"],
+    rank: 60,
+    render: (parent, data) =>
+      appendText(parent, "output-json output-code", JSON.stringify(data, null, 2)),
+  },
+  {
+    mimeTypes: ["text/plain"],
+    rank: 100,
+    render: (parent, data) => appendText(parent, "output-text", data),
+  },
+];
+
+let rendererRegistry = null;
+let WidgetViews = null;
+
+function getWidgetViews() {
+  if (!WidgetViews) {
+    WidgetViews = require("./widget-views");
   }
+  return WidgetViews;
+}
 
-  if (data["text/plain"]) {
-    appendText(parent, "output-text", data["text/plain"]);
+function getRendererRegistry() {
+  if (!rendererRegistry) {
+    rendererRegistry = MimeRendererRegistry.getShared();
+    for (const renderer of BUILTIN_RENDERERS) rendererRegistry.addRenderer(renderer);
   }
+  return rendererRegistry;
+}
+
+function appendUnsupported(parent, mimeTypes) {
+  const placeholder = document.createElement("div");
+  placeholder.className = "output-unsupported";
+  placeholder.textContent = `No renderer for output type: ${mimeTypes.join(", ")}`;
+  parent.appendChild(placeholder);
+}
+
+function appendMimeBundle(parent, output, options) {
+  if (getRendererRegistry().render(parent, output, options)) return;
+
+  const mimeTypes = Object.keys(output.data || {});
+  if (mimeTypes.length > 0) appendUnsupported(parent, mimeTypes);
 }
 
 class OutputView {
@@ -194,11 +323,18 @@ class OutputView {
     this.element.className = "jupyter-output-container";
     this._lastOutputsHash = null;
     this._lastMaxHeight = null;
+    this._lastTrusted = null;
+    this._widgetSubscription = null;
+    this._renderDisposables = null;
     // Block image drag-and-drop from outputs (catches imgs embedded in
     // text/html outputs that don't go through the image MIME branch).
     this.element.addEventListener("dragstart", (event) => {
       if (event.target?.tagName === "IMG") event.preventDefault();
     });
+    // Re-render when a package adds or removes a renderer.
+    this._rendererSubscription = getRendererRegistry().onDidChange(() => {
+      if (this.element) this.renderContent();
+    });
     this.renderContent();
   }
 
@@ -221,7 +357,11 @@ class OutputView {
           : [`${output.ename || "Error"}: ${output.evalue || ""}`];
       appendText(item, "output-error", traceback.join("\n"));
     } else if (output.output_type === "display_data" || output.output_type === "execute_result") {
-      appendMimeBundle(item, output);
+      appendMimeBundle(item, output, {
+        trusted: this.props.trusted === true,
+        notebook: this.props.notebook,
+        disposables: this._renderDisposables,
+      });
     } else if (output.text) {
       appendText(item, "output-text", output.text);
     }
@@ -230,9 +370,13 @@ class OutputView {
   }
 
   renderContent() {
-    const { outputs, maxHeight } = this.props;
+    const { outputs, maxHeight, trusted } = this.props;
     this._lastOutputsHash = this._getOutputsHash(outputs);
     this._lastMaxHeight = maxHeight;
+    this._lastTrusted = trusted === true;
+    // Tear down what the previous outputs' renderers left subscribed.
+    this._renderDisposables?.dispose();
+    this._renderDisposables = new CompositeDisposable();
 
     const wrapper = document.createElement("div");
     wrapper.className = "jupyter-outputs";
@@ -247,6 +391,18 @@ class OutputView {
 
     this.element.innerHTML = "";
     this.element.appendChild(wrapper);
+    this.observeWidgetModels();
+  }
+
+  // Widget views depend on models that may arrive after the output (comm
+  // open) or change with the notebook metadata; re-render when they do.
+  observeWidgetModels() {
+    const { outputs, notebook } = this.props;
+    if (this._widgetSubscription || !notebook?.getWidgetManager) return;
+    if (!(outputs || []).some((output) => output.data?.[WIDGET_VIEW_MIME])) return;
+    this._widgetSubscription = notebook.getWidgetManager().onDidChangeModels(() => {
+      if (this.element) this.renderContent();
+    });
   }
 
   update(props) {
@@ -254,10 +410,12 @@ class OutputView {
 
     const newHash = this._getOutputsHash(this.props.outputs);
     const maxHeightChanged = this.props.maxHeight !== this._lastMaxHeight;
+    const unchanged =
+      newHash === this._lastOutputsHash && (this.props.trusted === true) === this._lastTrusted;
 
-    if (newHash === this._lastOutputsHash && !maxHeightChanged) return;
+    if (unchanged && !maxHeightChanged) return;
 
-    if (newHash === this._lastOutputsHash && maxHeightChanged) {
+    if (unchanged && maxHeightChanged) {
       const container = this.element.querySelector(".jupyter-outputs");
       if (container) {
         if (this.props.maxHeight > 0) {
@@ -276,6 +434,9 @@ class OutputView {
   }
 
   destroy() {
+    this._rendererSubscription.dispose();
+    this._widgetSubscription?.dispose();
+    this._renderDisposables?.dispose();
     this.element = null;
   }
 }
@@ -0,0 +1,301 @@
+/**
+ * Percent-format scripts (as written by jupytext and understood by VS Code,
+ * Spyder and PyCharm): every cell starts with a `# %%` line, markdown and raw
+ * cells are commented out, and a commented YAML header carries the notebook
+ * metadata needed to read the script back in.
+ *
+ *   # ---
+ *   # jupyter:
+ *   #   kernelspec:
+ *   #     name: python3
+ *   # ---
+ *
+ *   # %% [markdown]
+ *   # # Title
+ *
+ *   # %% tags=["parameters"]
+ *   x = 1
+ */
+
+const { v4: uuidv4 } = require("uuid");
+
+const CELL_TYPE_MARKERS = { markdown: "markdown", md: "markdown", raw: "raw" };
+
+function asText(value) {
+  return Array.isArray(value) ? value.join("") : String(value ?? "");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// nbformat stores sources as lists of lines that keep their newlines.
+function toSourceLines(text) {
+  return text.split("\n").map((line, i, lines) => (i < lines.length - 1 ? `${line}\n` : line));
+}
+
+function formatYamlScalar(value) {
+  const text = String(value);
+  return /^[\w.,/+-][\w .,:/+-]*$/.test(text) && !text.includes(": ") && text.trim() === text
+    ? text
+    : JSON.stringify(text);
+}
+
+function parseYamlScalar(text) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  if (text.startsWith("'") && text.endsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+  return text;
+}
+
+function writeYaml(value, indent = "") {
+  const lines = [];
+  for (const [key, entry] of Object.entries(value)) {
+    if (entry && typeof entry === "object") {
+      lines.push(`${indent}${key}:`, ...writeYaml(entry, `${indent}  `));
+    } else if (entry != null) {
+      lines.push(`${indent}${key}: ${formatYamlScalar(entry)}`);
+    }
+  }
+  return lines;
+}
+
+// Enough YAML for the header: nested mappings of scalar values.
+function readYaml(lines) {
+  const root = {};
+  const stack = [{ indent: -1, value: root }];
+  for (const line of lines) {
+    const match = line.match(/^(\s*)([^:#\s][^:]*):(?:\s+(.*))?$/);
+    if (!match) continue;
+    const indent = match[1].length;
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+    const parent = stack[stack.length - 1].value;
+    const key = match[2].trim();
+    if (match[3] === undefined || match[3].trim() === "") {
+      parent[key] = {};
+      stack.push({ indent, value: parent[key] });
+    } else {
+      parent[key] = parseYamlScalar(match[3].trim());
+    }
+  }
+  return root;
+}
+
+function getHeaderMetadata(metadata) {
+  const header = {};
+  if (metadata.jupytext?.formats) header.jupytext = { formats: metadata.jupytext.formats };
+  if (metadata.kernelspec) {
+    const { display_name, language, name } = metadata.kernelspec;
+    header.kernelspec = { display_name, language, name };
+  }
+  return header;
+}
+
+function formatCellMarker(cell, comment) {
+  const parts = [`${comment} %%`];
+  if (cell.cell_type === "markdown" || cell.cell_type === "raw") parts.push(`[${cell.cell_type}]`);
+  const tags = cell.metadata?.tags;
+  if (Array.isArray(tags) && tags.length > 0) parts.push(`tags=${JSON.stringify(tags)}`);
+  return parts.join(" ");
+}
+
+// Parse what follows `# %%`: an optional `[markdown]`/`[raw]` type and
+// `key=<json>` options. Anything else is a cell title, which isn't kept.
+function parseCellMarker(options) {
+  const typeMatch = options.match(/\[(\w+)\]/);
+  const cellType = (typeMatch && CELL_TYPE_MARKERS[typeMatch[1].toLowerCase()]) || "code";
+  const metadata = {};
+
+  const keys = [...options.matchAll(/(?:^|\s)([A-Za-z_][\w-]*)=/g)];
+  keys.forEach((match, i) => {
+    const start = match.index + match[0].length;
+    const end = i + 1 < keys.length ? keys[i + 1].index : options.length;
+    const raw = options.slice(start, end).trim();
+    try {
+      metadata[match[1]] = JSON.parse(raw);
+    } catch (error) {
+      metadata[match[1]] = raw;
+    }
+  });
+  return { cellType, metadata };
+}
+
+function commentLines(source, comment) {
+  return source
+    .split("\n")
+    .map((line) => (line ? `${comment} ${line}` : comment))
+    .join("\n");
+}
+
+function uncommentLines(lines, comment) {
+  const pattern = new RegExp(`^${escapeRegExp(comment)} ?`);
+  return lines.map((line) => line.replace(pattern, ""));
+}
+
+// Like jupytext, cell lines that would read as a `# %%` marker get one more
+// comment (`# # %%`), and lines already escaped that way one more too, so
+// reading the script back drops exactly one.
+function getEscapedMarkerPattern(comment) {
+  return new RegExp(`^(?:${escapeRegExp(comment)} )+%%`);
+}
+
+function escapeMarkerLines(text, comment) {
+  const pattern = getEscapedMarkerPattern(comment);
+  return text
+    .split("\n")
+    .map((line) => (pattern.test(line) ? `${comment} ${line}` : line))
+    .join("\n");
+}
+
+function unescapeMarkerLine(line, comment) {
+  const pattern = getEscapedMarkerPattern(comment);
+  const prefix = `${comment} `;
+  return line.startsWith(prefix) && pattern.test(line.slice(prefix.length))
+    ? line.slice(prefix.length)
+    : line;
+}
+
+/**
+ * Write a notebook as a percent-format script.
+ * @param {Object} notebook - nbformat JSON (NotebookDocument#toJSON)
+ * @param {Object} [options]
+ * @param {string} [options.comment="#"] - Line comment of the script language
+ * @param {string} [options.shebang] - First line of the script, e.g. `#!/usr/bin/env python`
+ * @returns {string}
+ */
+function exportPercentScript(notebook, options = {}) {
+  const comment = options.comment || "#";
+  const blocks = [];
+
+  const header = writeYaml({ jupyter: getHeaderMetadata(notebook.metadata || {}) });
+  if (header.length > 1) {
+    blocks.push(
+      [`${comment} ---`, ...header.map((line) => `${comment} ${line}`), `${comment} ---`].join(
+        "\n",
+      ),
+    );
+  }
+
+  for (const cell of notebook.cells || []) {
+    const source = asText(cell.source).replace(/\n+$/, "");
+    const body = escapeMarkerLines(
+      cell.cell_type === "code" ? source : commentLines(source, comment),
+      comment,
+    );
+    const marker = formatCellMarker(cell, comment);
+    blocks.push(body ? `${marker}\n${body}` : marker);
+  }
+
+  const script = `${blocks.join("\n\n")}\n`;
+  return options.shebang ? `${options.shebang}\n${script}` : script;
+}
+
+/**
+ * Read a percent-format script into nbformat JSON. Text before the first
+ * `# %%` line (other than the header) becomes a code cell.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.comment="#"]
+ * @returns {Object} nbformat JSON
+ */
+function importPercentScript(text, options = {}) {
+  const comment = options.comment || "#";
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  let index = 0;
+  if (lines[0]?.startsWith("#!")) index++;
+
+  let metadata = {};
+  const headerDelimiter = `${comment} ---`;
+  if (lines[index]?.trim() === headerDelimiter) {
+    const end = lines.indexOf(headerDelimiter, index + 1);
+    if (end !== -1) {
+      const yaml = readYaml(uncommentLines(lines.slice(index + 1, end), comment));
+      metadata = yaml.jupyter && typeof yaml.jupyter === "object" ? yaml.jupyter : {};
+      index = end + 1;
+    }
+  }
+
+  const markerPattern = new RegExp(`^${escapeRegExp(comment)} %%(?:\\s+(.*))?$`);
+  const cells = [];
+  let current = { cellType: "code", metadata: {}, lines: [], marked: false };
+  const pushCell = ({ cellType, metadata: cellMetadata, lines: body, marked }) => {
+    let start = 0;
+    let end = body.length;
+    while (end > start && body[end - 1].trim() === "") end--;
+    // Blank lines between the header and an unmarked first cell aren't a cell.
+    if (!marked) {
+      while (start < end && body[start].trim() === "") start++;
+      if (start === end) return;
+    }
+
+    const sourceLines = body.slice(start, end);
+    const textLines = cellType === "code" ? sourceLines : uncommentLines(sourceLines, comment);
+    const source = textLines.join("\n");
+    const data = {
+      id: uuidv4(),
+      cell_type: cellType,
+      metadata: cellMetadata,
+      source: toSourceLines(source).filter((line) => line !== ""),
+    };
+    if (cellType === "code") {
+      data.execution_count = null;
+      data.outputs = [];
+    }
+    cells.push(data);
+  };
+
+  for (; index < lines.length; index++) {
+    const match = lines[index].match(markerPattern);
+    if (!match) {
+      current.lines.push(unescapeMarkerLine(lines[index], comment));
+      continue;
+    }
+    pushCell(current);
+    current = { ...parseCellMarker(match[1] || ""), lines: [], marked: true };
+  }
+  pushCell(current);
+
+  return {
+    nbformat: 4,
+    nbformat_minor: 5,
+    metadata,
+    cells,
+  };
+}
+
+/**
+ * Take the cells of an edited script over into a notebook. Cells whose type
+ * and source are unchanged keep their id, metadata and outputs; the others
+ * come from the script without outputs. Tags always follow the script.
+ * @param {Object} notebook - nbformat JSON of the notebook
+ * @param {Object} script - nbformat JSON from importPercentScript
+ * @returns {Object} nbformat JSON
+ */
+function mergePercentScript(notebook, script) {
+  const unmatched = [...(notebook.cells || [])];
+  const cells = script.cells.map((scriptCell) => {
+    const source = asText(scriptCell.source);
+    const index = unmatched.findIndex(
+      (cell) => cell.cell_type === scriptCell.cell_type && asText(cell.source) === source,
+    );
+    if (index === -1) return scriptCell;
+
+    const [cell] = unmatched.splice(index, 1);
+    const metadata = { ...(cell.metadata || {}) };
+    delete metadata.tags;
+    if (scriptCell.metadata?.tags) metadata.tags = scriptCell.metadata.tags;
+    return { ...cell, metadata };
+  });
+  return { ...notebook, cells };
+}
+
+module.exports = {
+  exportPercentScript,
+  importPercentScript,
+  mergePercentScript,
+};
@@ -0,0 +1,128 @@
+/**
+ * Save policies: what is left out of a notebook file when it is written, in
+ * the spirit of nbstripout. The editor keeps its outputs; only the file is
+ * cleaned. The `jupyter-next.savePolicy` settings apply to every notebook
+ * and `metadata.jupyter_next.save_policy` overrides them per notebook, e.g.
+ *
+ *   "jupyter_next": {"save_policy": {"strip_outputs": true, "normalize": true}}
+ */
+
+// Policy option and its key in notebook metadata
+const METADATA_KEYS = {
+  stripOutputs: "strip_outputs",
+  stripExecutionCounts: "strip_execution_counts",
+  stripVolatileMetadata: "strip_volatile_metadata",
+  maxOutputSize: "max_output_size",
+  normalize: "normalize",
+};
+
+// Metadata that changes on every run or session rather than with the content
+const VOLATILE_NOTEBOOK_METADATA = ["widgets", "signature"];
+const VOLATILE_CELL_METADATA = ["execution", "ExecuteTime"];
+
+// Everything stripped, for "Save Clean Copy As…"
+const CLEAN_POLICY = {
+  stripOutputs: true,
+  stripExecutionCounts: true,
+  stripVolatileMetadata: true,
+  maxOutputSize: 0,
+  normalize: true,
+};
+
+function withoutKeys(object, keys) {
+  const result = { ...object };
+  for (const key of keys) delete result[key];
+  return result;
+}
+
+// Recursively sorted object keys, as nbformat writes them
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== "object") return value;
+  const sorted = {};
+  for (const key of Object.keys(value).sort()) sorted[key] = sortKeys(value[key]);
+  return sorted;
+}
+
+/**
+ * The save policy of a notebook: the package settings overridden by the
+ * notebook's `metadata.jupyter_next.save_policy`.
+ * @param {Object} metadata - Notebook metadata
+ * @returns {{stripOutputs: boolean, stripExecutionCounts: boolean,
+ *   stripVolatileMetadata: boolean, maxOutputSize: number, normalize: boolean}}
+ *   `maxOutputSize` is in kilobytes, zero for no limit
+ */
+function getSavePolicy(metadata) {
+  const settings = atom.config.get("jupyter-next.savePolicy") || {};
+  const overrides = metadata?.jupyter_next?.save_policy;
+  const policy = {};
+  for (const [option, key] of Object.entries(METADATA_KEYS)) {
+    const override = overrides && typeof overrides === "object" ? overrides[key] : undefined;
+    const value = override ?? settings[option];
+    policy[option] = option === "maxOutputSize" ? Math.max(0, Number(value) || 0) : value === true;
+  }
+  return policy;
+}
+
+function cleanOutputs(outputs, policy) {
+  let result = outputs || [];
+  if (policy.stripOutputs) return [];
+  if (policy.maxOutputSize > 0) {
+    const limit = policy.maxOutputSize * 1024;
+    result = result.filter((output) => JSON.stringify(output).length <= limit);
+  }
+  if (policy.stripExecutionCounts) {
+    result = result.map((output) =>
+      "execution_count" in output ? { ...output, execution_count: null } : output,
+    );
+  }
+  return result;
+}
+
+/**
+ * Apply a save policy to nbformat JSON.
+ * @param {Object} notebook - nbformat JSON, left unchanged
+ * @param {Object} policy - See getSavePolicy
+ * @returns {Object} The notebook as it should be written
+ */
+function applySavePolicy(notebook, policy) {
+  // Cell ids came with nbformat 4.5; older notebooks are written without them.
+  const withIds = notebook.nbformat_minor >= 5;
+  const metadata = policy.stripVolatileMetadata
+    ? withoutKeys(notebook.metadata || {}, VOLATILE_NOTEBOOK_METADATA)
+    : notebook.metadata;
+
+  const cells = (notebook.cells || []).map((cell) => {
+    const result = { ...cell };
+    if (!withIds) delete result.id;
+    if (policy.stripVolatileMetadata && cell.metadata) {
+      result.metadata = withoutKeys(cell.metadata, VOLATILE_CELL_METADATA);
+    }
+    if (cell.cell_type === "code") {
+      result.outputs = cleanOutputs(cell.outputs, policy);
+      if (policy.stripExecutionCounts) result.execution_count = null;
+    }
+    return result;
+  });
+
+  return { ...notebook, metadata, cells };
+}
+
+/**
+ * Notebook file content. Normalized content matches what nbformat writes:
+ * sorted keys, one-space indentation and a final newline.
+ * @param {Object} notebook - nbformat JSON
+ * @param {Object} policy - See getSavePolicy
+ * @returns {string}
+ */
+function serializeNotebook(notebook, policy) {
+  if (policy.normalize) return `${JSON.stringify(sortKeys(notebook), null, 1)}\n`;
+  return JSON.stringify(notebook, null, 2);
+}
+
+module.exports = {
+  CLEAN_POLICY,
+  applySavePolicy,
+  getSavePolicy,
+  serializeNotebook,
+};
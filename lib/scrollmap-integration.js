@@ -178,7 +178,7 @@ class NotebookScrollmap {
   markerForHeader(header, container) {
     const cell = this.editor.document?.cells?.[header.cellIndex];
     const cellView = cell ? this.editor.view?.cellViews?.get(cell.id) : null;
-    const cellElement = cellView?.element;
+    const cellElement = this.editor.view?.getCellElement?.(header.cellIndex);
     if (!cellElement) return null;
 
     const y = this.getHeaderOffset(header, cellView, cellElement, container);
@@ -200,7 +200,7 @@ class NotebookScrollmap {
     const markedCells = this.getMarkedCellIndexes(view);
     return markedCells.map(({ index, active, selected }) => {
       const cell = this.editor.document?.cells?.[index];
-      const element = cell ? view.cellViews?.get(cell.id)?.element : null;
+      const element = cell ? view.getCellElement?.(index) : null;
       if (!element) return null;
 
       const top = elementTopInContainer(element, container);
@@ -243,7 +243,7 @@ class NotebookScrollmap {
     const cell = this.editor.document?.cells?.[cellIndex];
     if (!cell) return null;
     const cellView = this.editor.view?.cellViews?.get(cell.id);
-    const cellElement = cellView?.element;
+    const cellElement = this.editor.view?.getCellElement?.(cellIndex);
     if (!cellElement) return null;
 
     const position = message?.location?.position;
@@ -251,8 +251,8 @@ class NotebookScrollmap {
     const endRow = position?.end?.row ?? startRow;
 
     const cellTopInContainer = elementTopInContainer(cellElement, container);
-    const cellEditor = cellView.editor;
-    const cellEditorElement = cellView.editorElement;
+    const cellEditor = cellView?.editor;
+    const cellEditorElement = cellView?.editorElement;
     const lineHeight = cellEditor?.getLineHeightInPixels?.() || 0;
 
     let top;
@@ -303,8 +303,9 @@ class NotebookScrollmap {
       return elementTopInContainer(heading, container);
     }
 
-    const editorElement = cellView.editorElement;
-    const editor = cellView.editor;
+    // Unmounted (virtualized) cells only have a placeholder to measure.
+    const editorElement = cellView?.editorElement;
+    const editor = cellView?.editor;
     if (editorElement && editor) {
       const lineHeight = editor.getLineHeightInPixels?.() || 0;
       if (lineHeight > 0) {
@@ -0,0 +1,61 @@
+/**
+ * Syntax highlighting for code outside text editors (markdown fences,
+ * exports): Pulsar grammar tokens become `syntax--` classed spans, styled by
+ * the active syntax theme.
+ */
+
+const { getGrammarScopesForLanguage } = require("./notebook-language");
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function scopeClasses(scope) {
+  return scope
+    .split(".")
+    .map((part) => `syntax--${part}`)
+    .join(" ");
+}
+
+// Tree-sitter grammars can't tokenize detached text, so prefer the TextMate
+// grammar registered for the same scope.
+function getTokenizingGrammar(language) {
+  const textmateRegistry = atom.grammars.textmateRegistry;
+  for (const scope of getGrammarScopesForLanguage(language)) {
+    const grammar =
+      textmateRegistry?.grammarForScopeName(scope) || atom.grammars.grammarForScopeName(scope);
+    if (typeof grammar?.tokenizeLines === "function") return grammar;
+  }
+  return null;
+}
+
+/**
+ * Highlight `code` as `language`, returning HTML. Unknown languages come back
+ * HTML-escaped without markup.
+ */
+function highlightCode(code, language) {
+  const grammar = language ? getTokenizingGrammar(language) : null;
+  if (!grammar) return escapeHtml(code);
+
+  const lines = grammar.tokenizeLines(code).map((tokens) =>
+    tokens
+      .map(({ value, scopes }) => {
+        let html = escapeHtml(value);
+        for (const scope of scopes.slice(1).reverse()) {
+          html = `<span class="${scopeClasses(scope)}">${html}</span>`;
+        }
+        return html;
+      })
+      .join(""),
+  );
+  return `<span class="${scopeClasses(grammar.scopeName)}">${lines.join("\n")}</span>`;
+}
+
+module.exports = {
+  escapeHtml,
+  highlightCode,
+};
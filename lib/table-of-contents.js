@@ -0,0 +1,269 @@
+/**
+ * TableOfContents - dock item listing the markdown headings of the active
+ * notebook, fed by JupyterNotebookEditor#observeNavigationHeaders. Headings
+ * can be numbered, the sections in view are highlighted, and dragging a
+ * heading moves its whole section (see notebook-sections.js).
+ */
+
+const { CompositeDisposable, Emitter } = require("atom");
+const { getSectionRange } = require("./notebook-sections");
+
+// Also opened by this URI in main.js
+const TOC_URI = "atom://jupyter-next/table-of-contents";
+
+// Tags the heading drag payload, so drops from elsewhere are ignored.
+const TOC_DRAG_MIME = "application/x-jupyter-toc-heading";
+
+function isNotebookEditor(item) {
+  return item?.constructor?.name === "JupyterNotebookEditor";
+}
+
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  if (className) element.className = className;
+  if (text != null) element.textContent = text;
+  return element;
+}
+
+// Headings in document order with their depth and section number, e.g. "2.1"
+function flattenHeaders(headers, depth = 0, prefix = "") {
+  return headers.flatMap((header, index) => {
+    const number = `${prefix}${index + 1}`;
+    return [
+      { header, depth, number },
+      ...flattenHeaders(header.children || [], depth + 1, `${number}.`),
+    ];
+  });
+}
+
+function getFirstLine(source) {
+  const line = (source || "").split("\n").find((text) => text.trim() !== "");
+  return line ? line.trim() : "(empty)";
+}
+
+class TableOfContents {
+  constructor() {
+    this.emitter = new Emitter();
+    this.disposables = new CompositeDisposable();
+    this.editor = null;
+    this.editorDisposables = null;
+    this.headers = [];
+
+    this.element = createElement("div", "jupyter-next jupyter-toc");
+    this.element.tabIndex = -1;
+
+    const toolbar = createElement("div", "toc-toolbar btn-group");
+    this.numberingButton = createElement("button", "btn btn-xs icon icon-list-ordered", "Numbers");
+    this.numberingButton.title = "Number sections";
+    this.numberingButton.addEventListener("click", () => this.toggleOption("numbering"));
+    this.codeCellsButton = createElement("button", "btn btn-xs icon icon-code", "Code Cells");
+    this.codeCellsButton.title = "List code cells under their headings";
+    this.codeCellsButton.addEventListener("click", () => this.toggleOption("showCodeCells"));
+    toolbar.appendChild(this.numberingButton);
+    toolbar.appendChild(this.codeCellsButton);
+    this.element.appendChild(toolbar);
+
+    this.listElement = createElement("ol", "toc-list list-group");
+    this.element.appendChild(this.listElement);
+
+    this.disposables.add(
+      atom.workspace.getCenter().observeActivePaneItem((item) => {
+        if (isNotebookEditor(item)) {
+          this.setEditor(item);
+        } else if (item) {
+          this.setEditor(null);
+        }
+      }),
+      atom.config.onDidChange("jupyter-next.toc", () => this.render()),
+    );
+    this.render();
+  }
+
+  toggleOption(name) {
+    const key = `jupyter-next.toc.${name}`;
+    atom.config.set(key, !atom.config.get(key));
+  }
+
+  setEditor(editor) {
+    if (editor === this.editor) return;
+    this.editorDisposables?.dispose();
+    this.editorDisposables = null;
+    this.editor = editor;
+    this.headers = [];
+
+    if (editor) {
+      this.editorDisposables = new CompositeDisposable(
+        editor.observeNavigationHeaders((headers) => {
+          this.headers = headers || [];
+          this.render();
+        }),
+        editor.onDidDestroy(() => this.setEditor(null)),
+      );
+    }
+    this.render();
+  }
+
+  render() {
+    if (!this.element) return;
+    const numbering = atom.config.get("jupyter-next.toc.numbering") !== false;
+    const showCodeCells = atom.config.get("jupyter-next.toc.showCodeCells") === true;
+    this.numberingButton.classList.toggle("selected", numbering);
+    this.codeCellsButton.classList.toggle("selected", showCodeCells);
+    this.listElement.innerHTML = "";
+
+    if (!this.editor?.document) {
+      this.listElement.appendChild(
+        createElement("li", "toc-empty", "Open a notebook to see its table of contents"),
+      );
+      return;
+    }
+
+    const cells = this.editor.document.cells;
+    const entries = flattenHeaders(this.headers);
+    if (entries.length === 0 && !(showCodeCells && cells.some((cell) => cell.type === "code"))) {
+      this.listElement.appendChild(createElement("li", "toc-empty", "No headings"));
+      return;
+    }
+
+    const visibleCellIndexes = new Set(this.editor.getVisibleNavigationCellIndexes());
+    if (showCodeCells) {
+      this.renderCodeCells(cells, 0, entries[0]?.header.cellIndex ?? cells.length, 0);
+    }
+
+    entries.forEach(({ header, depth, number }, index) => {
+      const { cellIndex } = header;
+      const previous = entries[index - 1]?.header;
+      const nextCellIndex = entries[index + 1]?.header.cellIndex ?? cells.length;
+      // The cells up to the next heading; a cell with several headings
+      // belongs to all of them.
+      const end = Math.max(nextCellIndex, cellIndex + 1);
+      let inView = false;
+      for (let i = cellIndex; i < end && !inView; i++) inView = visibleCellIndexes.has(i);
+
+      const item = createElement("li", "list-item toc-heading");
+      item.classList.toggle("in-view", inView);
+      item.classList.toggle("active", header.currentCount > 0);
+      item.style.setProperty("--toc-depth", depth);
+      if (numbering) item.appendChild(createElement("span", "toc-number", number));
+      item.appendChild(createElement("span", "toc-text", header.text));
+      item.title = header.text;
+      item.addEventListener("click", () => this.editor?.revealNavigationHeader(header));
+      // A cell's section moves as a whole, so only its first heading drags.
+      if (previous?.cellIndex !== cellIndex) this.setupDragAndDrop(item, cellIndex);
+      this.listElement.appendChild(item);
+
+      if (showCodeCells) this.renderCodeCells(cells, cellIndex + 1, nextCellIndex, depth + 1);
+    });
+  }
+
+  renderCodeCells(cells, start, end, depth) {
+    for (let index = start; index < end; index++) {
+      const cell = cells[index];
+      if (cell.type !== "code") continue;
+      const item = createElement("li", "list-item toc-code-cell");
+      item.classList.toggle("active", index === this.editor.activeCellIndex);
+      item.style.setProperty("--toc-depth", depth);
+      item.appendChild(createElement("span", "toc-text", getFirstLine(cell.source)));
+      item.addEventListener("click", () =>
+        this.editor?.revealNavigationHeader({ cellIndex: index, cellRow: 0 }),
+      );
+      this.listElement.appendChild(item);
+    }
+  }
+
+  setupDragAndDrop(item, cellIndex) {
+    item.draggable = true;
+    item.addEventListener("dragstart", (event) => {
+      event.dataTransfer.effectAllowed = "move";
+      event.dataTransfer.setData(TOC_DRAG_MIME, String(cellIndex));
+    });
+    item.addEventListener("dragover", (event) => {
+      if (!event.dataTransfer.types.includes(TOC_DRAG_MIME)) return;
+      event.preventDefault();
+      const below = this.isDropBelow(item, event);
+      item.classList.toggle("drop-above", !below);
+      item.classList.toggle("drop-below", below);
+    });
+    item.addEventListener("dragleave", () => {
+      item.classList.remove("drop-above", "drop-below");
+    });
+    item.addEventListener("drop", (event) => {
+      if (!event.dataTransfer.types.includes(TOC_DRAG_MIME)) return;
+      event.preventDefault();
+      item.classList.remove("drop-above", "drop-below");
+      const fromIndex = Number(event.dataTransfer.getData(TOC_DRAG_MIME));
+      this.moveSection(fromIndex, cellIndex, this.isDropBelow(item, event));
+    });
+  }
+
+  isDropBelow(item, event) {
+    const rect = item.getBoundingClientRect();
+    return event.clientY >= rect.top + rect.height / 2;
+  }
+
+  /**
+   * Move the section headed by the cell at `fromIndex` before the heading
+   * cell at `toIndex`, or after its section.
+   */
+  moveSection(fromIndex, toIndex, after) {
+    const editor = this.editor;
+    if (!editor?.document) return;
+    const cells = editor.document.cells;
+    const range = getSectionRange(cells, fromIndex);
+    const targetRange = getSectionRange(cells, toIndex);
+    if (!range || !targetRange) return;
+    const targetIndex = after ? targetRange.end : targetRange.start;
+    // Dropped onto itself or inside its own section
+    if (targetIndex >= range.start && targetIndex <= range.end) return;
+
+    const indices = [];
+    for (let index = range.start; index < range.end; index++) indices.push(index);
+    editor.moveCells(indices, targetIndex);
+    editor.setActiveCell(targetIndex > range.start ? targetIndex - indices.length : targetIndex);
+  }
+
+  getTitle() {
+    return "Table of Contents";
+  }
+
+  getIconName() {
+    return "list-ordered";
+  }
+
+  getURI() {
+    return TOC_URI;
+  }
+
+  getDefaultLocation() {
+    return "right";
+  }
+
+  getAllowedLocations() {
+    return ["left", "right"];
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  serialize() {
+    return { deserializer: "JupyterTableOfContents" };
+  }
+
+  onDidDestroy(callback) {
+    return this.emitter.on("did-destroy", callback);
+  }
+
+  destroy() {
+    if (!this.element) return;
+    this.editorDisposables?.dispose();
+    this.disposables.dispose();
+    this.element.remove();
+    this.element = null;
+    this.editor = null;
+    this.emitter.emit("did-destroy");
+    this.emitter.dispose();
+  }
+}
+
+module.exports = TableOfContents;
@@ -0,0 +1,200 @@
+/**
+ * WidgetManager - Jupyter widget (ipywidgets) models for one notebook.
+ *
+ * Models come from two places: the widget state saved in notebook metadata
+ * (`metadata.widgets["application/vnd.jupyter.widget-state+json"]`), which
+ * renders as static widgets, and `jupyter.widget` comms opened by a running
+ * kernel, which render as live controls. hydrogen-next feeds kernel comm
+ * messages in through JupyterHydrogenAdapter.receiveCommMessage and sends the
+ * messages emitted by onDidSendCommMessage back to the kernel.
+ */
+
+const { Emitter } = require("atom");
+
+const WIDGET_STATE_MIME = "application/vnd.jupyter.widget-state+json";
+const WIDGET_COMM_TARGET = "jupyter.widget";
+const MODEL_REFERENCE_PREFIX = "IPY_MODEL_";
+
+function getMessageType(message) {
+  return message?.header?.msg_type || message?.msg_type || null;
+}
+
+class WidgetModel {
+  constructor(id, state, { live = false } = {}) {
+    this.id = id;
+    this.state = { ...(state || {}) };
+    this.live = live;
+    this.emitter = new Emitter();
+  }
+
+  get modelName() {
+    return this.state._model_name || "";
+  }
+
+  get(key) {
+    return this.state[key];
+  }
+
+  set(changes) {
+    const changedKeys = Object.keys(changes || {});
+    if (changedKeys.length === 0) return;
+    this.state = { ...this.state, ...changes };
+    this.emitter.emit("did-change", changedKeys);
+  }
+
+  onDidChange(callback) {
+    return this.emitter.on("did-change", callback);
+  }
+
+  destroy() {
+    this.emitter.emit("did-destroy");
+    this.emitter.dispose();
+  }
+
+  onDidDestroy(callback) {
+    return this.emitter.on("did-destroy", callback);
+  }
+}
+
+class WidgetManager {
+  constructor(metadata) {
+    this.emitter = new Emitter();
+    this.models = new Map(); // model id -> WidgetModel
+    this.loadSavedState(metadata);
+  }
+
+  /**
+   * Replace the static models with the widget state saved in `metadata`.
+   * Live models opened by the kernel are kept.
+   */
+  loadSavedState(metadata) {
+    const saved = metadata?.widgets?.[WIDGET_STATE_MIME]?.state || {};
+
+    for (const [id, model] of this.models) {
+      if (!model.live) {
+        model.destroy();
+        this.models.delete(id);
+      }
+    }
+    for (const [id, entry] of Object.entries(saved)) {
+      if (this.models.has(id) || !entry?.state) continue;
+      this.models.set(
+        id,
+        new WidgetModel(id, {
+          _model_name: entry.model_name,
+          _model_module: entry.model_module,
+          _model_module_version: entry.model_module_version,
+          ...entry.state,
+        }),
+      );
+    }
+    this.emitter.emit("did-change-models");
+  }
+
+  getModel(id) {
+    return this.models.get(id) || null;
+  }
+
+  /**
+   * Resolve an `IPY_MODEL_<id>` reference as used by container children.
+   */
+  resolveReference(reference) {
+    if (typeof reference !== "string" || !reference.startsWith(MODEL_REFERENCE_PREFIX)) {
+      return null;
+    }
+    return this.getModel(reference.slice(MODEL_REFERENCE_PREFIX.length));
+  }
+
+  /**
+   * Apply a kernel comm message.
+   * @param {Object} message - Jupyter message, or `{ msg_type, content }`
+   * @returns {boolean} Whether the message belonged to a widget
+   */
+  handleCommMessage(message) {
+    const content = message?.content || {};
+    const { comm_id: commId, data = {} } = content;
+    if (!commId) return false;
+
+    switch (getMessageType(message)) {
+      case "comm_open": {
+        if (content.target_name !== WIDGET_COMM_TARGET) return false;
+        this.models.get(commId)?.destroy();
+        this.models.set(commId, new WidgetModel(commId, data.state, { live: true }));
+        this.emitter.emit("did-change-models");
+        return true;
+      }
+      case "comm_msg": {
+        const model = this.models.get(commId);
+        if (!model) return false;
+        if (data.method === "update" || data.method === "echo_update") {
+          model.set(data.state);
+        }
+        return true;
+      }
+      case "comm_close": {
+        const model = this.models.get(commId);
+        if (!model) return false;
+        model.destroy();
+        this.models.delete(commId);
+        this.emitter.emit("did-change-models");
+        return true;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Apply a change made in a widget view and forward it to the kernel.
+   */
+  updateModel(model, changes) {
+    model.set(changes);
+    if (!model.live) return;
+    this.emitter.emit("did-send-comm-message", {
+      comm_id: model.id,
+      data: { method: "update", state: changes, buffer_paths: [] },
+    });
+  }
+
+  /**
+   * Send a custom widget message, e.g. `{ event: "click" }` for buttons.
+   */
+  sendCustomMessage(model, content) {
+    if (!model.live) return;
+    this.emitter.emit("did-send-comm-message", {
+      comm_id: model.id,
+      data: { method: "custom", content },
+    });
+  }
+
+  /**
+   * Drop every kernel-backed model, e.g. after the kernel shut down.
+   */
+  clearLiveModels() {
+    let changed = false;
+    for (const [id, model] of this.models) {
+      if (model.live) {
+        model.destroy();
+        this.models.delete(id);
+        changed = true;
+      }
+    }
+    if (changed) this.emitter.emit("did-change-models");
+  }
+
+  onDidChangeModels(callback) {
+    return this.emitter.on("did-change-models", callback);
+  }
+
+  onDidSendCommMessage(callback) {
+    return this.emitter.on("did-send-comm-message", callback);
+  }
+
+  destroy() {
+    for (const model of this.models.values()) model.destroy();
+    this.models.clear();
+    this.emitter.dispose();
+  }
+}
+
+module.exports = WidgetManager;
@@ -0,0 +1,301 @@
+/**
+ * Widget views - plain-DOM rendering of the core ipywidgets models for
+ * `application/vnd.jupyter.widget-view+json` outputs.
+ *
+ * Views of live (kernel-backed) models are interactive and push changes
+ * through the WidgetManager; views of saved-state models are disabled.
+ */
+
+const { CompositeDisposable, Disposable } = require("atom");
+const { sanitizeHtml } = require("./notebook-trust");
+
+const SLIDER_MODELS = new Set(["IntSliderModel", "FloatSliderModel"]);
+const PROGRESS_MODELS = new Set(["IntProgressModel", "FloatProgressModel"]);
+const SELECTION_MODELS = new Set([
+  "DropdownModel",
+  "SelectModel",
+  "RadioButtonsModel",
+  "ToggleButtonsModel",
+]);
+const TEXT_MODELS = new Set([
+  "TextModel",
+  "PasswordModel",
+  "IntTextModel",
+  "FloatTextModel",
+  "BoundedIntTextModel",
+  "BoundedFloatTextModel",
+]);
+const NUMERIC_TEXT_MODELS = new Set([
+  "IntTextModel",
+  "FloatTextModel",
+  "BoundedIntTextModel",
+  "BoundedFloatTextModel",
+]);
+const BOX_MODELS = new Set([
+  "BoxModel",
+  "HBoxModel",
+  "VBoxModel",
+  "GridBoxModel",
+  "AccordionModel",
+  "TabModel",
+]);
+
+let OutputView = null;
+
+function getOutputView() {
+  if (!OutputView) {
+    OutputView = require("./output-view");
+  }
+  return OutputView;
+}
+
+// Run `update` now and on every model change, until the rendering is torn
+// down (`context.disposables`, see OutputView#renderContent).
+function bindModel(context, model, update) {
+  context.disposables?.add(model.onDidChange((changedKeys) => update(changedKeys)));
+  update(null);
+}
+
+function isDisabled(model) {
+  return !model.live || model.get("disabled") === true;
+}
+
+function createControl(model, context, className, control) {
+  const wrapper = document.createElement("div");
+  wrapper.className = `widget-control ${className}`;
+  const label = document.createElement("label");
+  label.className = "widget-label";
+  wrapper.appendChild(label);
+  wrapper.appendChild(control);
+  bindModel(context, model, () => {
+    label.textContent = model.get("description") || "";
+    label.style.display = label.textContent ? "" : "none";
+  });
+  return wrapper;
+}
+
+function renderSlider(manager, model, context) {
+  const input = document.createElement("input");
+  input.type = "range";
+  const readout = document.createElement("span");
+  readout.className = "widget-readout";
+
+  const container = document.createElement("span");
+  container.className = "widget-slider-track";
+  container.appendChild(input);
+  container.appendChild(readout);
+
+  const eventName = model.get("continuous_update") === false ? "change" : "input";
+  input.addEventListener(eventName, () => {
+    manager.updateModel(model, { value: Number(input.value) });
+  });
+
+  const element = createControl(model, context, "widget-slider", container);
+  bindModel(context, model, () => {
+    input.min = model.get("min") ?? 0;
+    input.max = model.get("max") ?? 100;
+    input.step = model.get("step") ?? 1;
+    input.value = model.get("value") ?? 0;
+    input.disabled = isDisabled(model);
+    readout.textContent = model.get("readout") === false ? "" : String(model.get("value") ?? "");
+  });
+  return element;
+}
+
+function renderProgress(manager, model, context) {
+  const progress = document.createElement("progress");
+  const element = createControl(model, context, "widget-progress", progress);
+  bindModel(context, model, () => {
+    const min = model.get("min") ?? 0;
+    progress.max = (model.get("max") ?? 100) - min;
+    progress.value = (model.get("value") ?? 0) - min;
+    progress.dataset.barStyle = model.get("bar_style") || "";
+  });
+  return element;
+}
+
+function renderSelection(manager, model, context) {
+  const select = document.createElement("select");
+  select.className = "input-select";
+  select.addEventListener("change", () => {
+    manager.updateModel(model, { index: select.selectedIndex });
+  });
+
+  const element = createControl(model, context, "widget-selection", select);
+  bindModel(context, model, () => {
+    const labels = model.get("_options_labels") || [];
+    select.innerHTML = "";
+    for (const label of labels) {
+      const option = document.createElement("option");
+      option.textContent = label;
+      select.appendChild(option);
+    }
+    select.selectedIndex = model.get("index") ?? -1;
+    select.disabled = isDisabled(model);
+  });
+  return element;
+}
+
+function renderCheckbox(manager, model, context) {
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.className = "input-checkbox";
+  input.addEventListener("change", () => {
+    manager.updateModel(model, { value: input.checked });
+  });
+
+  const element = createControl(model, context, "widget-checkbox", input);
+  bindModel(context, model, () => {
+    input.checked = model.get("value") === true;
+    input.disabled = isDisabled(model);
+  });
+  return element;
+}
+
+function renderButton(manager, model, context) {
+  const button = document.createElement("button");
+  button.className = "btn btn-sm widget-button";
+  const isToggle = model.modelName === "ToggleButtonModel";
+  button.addEventListener("click", () => {
+    if (isToggle) {
+      manager.updateModel(model, { value: !model.get("value") });
+    } else {
+      manager.sendCustomMessage(model, { event: "click" });
+    }
+  });
+
+  bindModel(context, model, () => {
+    button.textContent = model.get("description") || "";
+    button.title = model.get("tooltip") || "";
+    button.disabled = isDisabled(model);
+    button.classList.toggle("selected", isToggle && model.get("value") === true);
+  });
+  return button;
+}
+
+function renderText(manager, model, context) {
+  const isTextarea = model.modelName === "TextareaModel";
+  const isNumeric = NUMERIC_TEXT_MODELS.has(model.modelName);
+  const input = document.createElement(isTextarea ? "textarea" : "input");
+  input.className = "input-text native-key-bindings";
+  if (!isTextarea) input.type = model.modelName === "PasswordModel" ? "password" : "text";
+
+  const eventName = model.get("continuous_update") === true ? "input" : "change";
+  input.addEventListener(eventName, () => {
+    const value = isNumeric ? Number(input.value) : input.value;
+    if (isNumeric && Number.isNaN(value)) return;
+    manager.updateModel(model, { value });
+  });
+
+  const element = createControl(model, context, "widget-text", input);
+  bindModel(context, model, () => {
+    input.value = model.get("value") ?? "";
+    input.placeholder = model.get("placeholder") || "";
+    input.disabled = isDisabled(model);
+  });
+  return element;
+}
+
+function renderLabel(manager, model, context) {
+  const element = document.createElement("div");
+  element.className = "widget-html";
+  const isHtml = model.modelName !== "LabelModel";
+  bindModel(context, model, () => {
+    const value = String(model.get("value") ?? "");
+    if (!isHtml) {
+      element.textContent = value;
+    } else {
+      // Saved widget state is notebook content and follows notebook trust.
+      element.innerHTML = model.live || context.trusted ? value : sanitizeHtml(value);
+    }
+  });
+  return element;
+}
+
+function renderBox(manager, model, context, ancestors) {
+  const element = document.createElement("div");
+  const direction = model.modelName === "HBoxModel" ? "widget-hbox" : "widget-vbox";
+  element.className = `widget-box ${direction}`;
+  // The children's bindings go with them when the children change.
+  let childDisposables = null;
+  context.disposables?.add(new Disposable(() => childDisposables?.dispose()));
+  bindModel(context, model, (changedKeys) => {
+    if (changedKeys && !changedKeys.includes("children")) return;
+    childDisposables?.dispose();
+    childDisposables = new CompositeDisposable();
+    const childContext = { ...context, disposables: childDisposables };
+    element.innerHTML = "";
+    for (const reference of model.get("children") || []) {
+      const child = manager.resolveReference(reference);
+      if (!child || ancestors.has(child.id)) continue;
+      element.appendChild(
+        renderModel(manager, child, childContext, new Set([...ancestors, child.id])) ||
+          renderUnsupported(child),
+      );
+    }
+  });
+  return element;
+}
+
+function renderOutput(manager, model, context) {
+  const OutputViewClass = getOutputView();
+  const outputView = new OutputViewClass({
+    outputs: model.get("outputs") || [],
+    trusted: model.live || context.trusted,
+    notebook: context.notebook,
+  });
+  outputView.element.classList.add("widget-output");
+  context.disposables?.add(new Disposable(() => outputView.destroy()));
+  bindModel(context, model, (changedKeys) => {
+    if (changedKeys?.includes("outputs")) {
+      outputView.update({ outputs: model.get("outputs") || [] });
+    }
+  });
+  return outputView.element;
+}
+
+function renderUnsupported(model) {
+  const element = document.createElement("div");
+  element.className = "widget-unsupported";
+  element.textContent = `${model.modelName.replace(/Model$/, "") || "Unknown"} widget`;
+  return element;
+}
+
+function renderModel(manager, model, context, ancestors) {
+  const name = model.modelName;
+  if (SLIDER_MODELS.has(name)) return renderSlider(manager, model, context);
+  if (PROGRESS_MODELS.has(name)) return renderProgress(manager, model, context);
+  if (SELECTION_MODELS.has(name)) return renderSelection(manager, model, context);
+  if (name === "CheckboxModel") return renderCheckbox(manager, model, context);
+  if (name === "ButtonModel" || name === "ToggleButtonModel") {
+    return renderButton(manager, model, context);
+  }
+  if (TEXT_MODELS.has(name) || name === "TextareaModel") return renderText(manager, model, context);
+  if (name === "LabelModel" || name === "HTMLModel" || name === "HTMLMathModel") {
+    return renderLabel(manager, model, context);
+  }
+  if (BOX_MODELS.has(name)) return renderBox(manager, model, context, ancestors);
+  if (name === "OutputModel") return renderOutput(manager, model, context);
+  return null;
+}
+
+/**
+ * MIME renderer for `application/vnd.jupyter.widget-view+json`. Falls through
+ * (to the `text/plain` repr) when the model is unknown or unsupported.
+ */
+function renderWidgetView(parent, data, context) {
+  const manager = context.notebook?.getWidgetManager?.();
+  const model = manager?.getModel(data?.model_id);
+  if (!model) return false;
+
+  const element = renderModel(manager, model, context, new Set([model.id]));
+  if (!element) return false;
+
+  element.classList.add("jupyter-widget");
+  parent.appendChild(element);
+  return true;
+}
+
+module.exports = {
+  renderWidgetView,
+};
@@ -0,0 +1,112 @@
+const {
+  hasConflictMarkers,
+  resolveGitConflict,
+  splitConflictSides,
+} = require("../lib/git-conflict");
+
+// A notebook whose second cell's source line is in conflict.
+function createConflictedText({
+  ours,
+  theirs,
+  base = null,
+  oursLabel = "HEAD",
+  theirsLabel = "feature",
+}) {
+  const notebook = {
+    nbformat: 4,
+    nbformat_minor: 5,
+    metadata: {},
+    cells: ["x = 1", "SOURCE"].map((source, index) => ({
+      id: `cell-${index}`,
+      cell_type: "code",
+      metadata: {},
+      source,
+      outputs: [],
+      execution_count: null,
+    })),
+  };
+  const text = JSON.stringify(notebook, null, 1);
+  const line = text.split("\n").find((line) => line.includes('"SOURCE"'));
+  const side = (source) => line.replace("SOURCE", source);
+  const block = [
+    `<<<<<<< ${oursLabel}`,
+    side(ours),
+    ...(base === null ? [] : ["||||||| base", side(base)]),
+    "=======",
+    side(theirs),
+    `>>>>>>> ${theirsLabel}`,
+  ];
+  return text.replace(line, block.join("\n"));
+}
+
+describe("git conflicts", () => {
+  it("recognizes conflict blocks", () => {
+    expect(hasConflictMarkers(createConflictedText({ ours: "y = 1", theirs: "y = 2" }))).toBe(true);
+    expect(hasConflictMarkers("<<<<<<< HEAD\nonly the start")).toBe(false);
+    expect(hasConflictMarkers('{"cells": []}')).toBe(false);
+  });
+
+  it("splits both sides and their labels", () => {
+    const sides = splitConflictSides(createConflictedText({ ours: "y = 1", theirs: "y = 2" }));
+    expect(JSON.parse(sides.ours).cells[1].source).toBe("y = 1");
+    expect(JSON.parse(sides.theirs).cells[1].source).toBe("y = 2");
+    expect(sides.base).toBeNull();
+    expect(sides.oursLabel).toBe("HEAD");
+    expect(sides.theirsLabel).toBe("feature");
+  });
+
+  it("splits the common ancestor of diff3 conflicts", () => {
+    const sides = splitConflictSides(
+      createConflictedText({ ours: "y = 1", theirs: "y = 2", base: "y = 0" }),
+    );
+    expect(JSON.parse(sides.base).cells[1].source).toBe("y = 0");
+    expect(JSON.parse(sides.ours).cells[1].source).toBe("y = 1");
+  });
+
+  it("defaults the labels of markers without one", () => {
+    const sides = splitConflictSides("<<<<<<<\na\n=======\nb\n>>>>>>>");
+    expect(sides.oursLabel).toBe("ours");
+    expect(sides.theirsLabel).toBe("theirs");
+  });
+
+  it("throws for an unterminated conflict block", () => {
+    expect(() => splitConflictSides("<<<<<<< HEAD\na\n=======\nb\n")).toThrowError(
+      "Unterminated git conflict block",
+    );
+  });
+
+  it("merges both sides, taking a one-sided change from a diff3 conflict", () => {
+    const result = resolveGitConflict(
+      createConflictedText({ ours: "y = 0", theirs: "y = 2", base: "y = 0" }),
+    );
+    expect(result.notebook.cells[1].source).toBe("y = 2");
+    expect(result.conflicts).toEqual([]);
+    expect(result.oursLabel).toBe("HEAD");
+    expect(result.theirsLabel).toBe("feature");
+  });
+
+  it("reports cells changed on both sides", () => {
+    const result = resolveGitConflict(createConflictedText({ ours: "y = 1", theirs: "y = 2" }));
+    expect(result.notebook.cells[1].source).toBe("y = 1");
+    expect(result.conflicts.map((conflict) => conflict.id)).toEqual(["cell-1"]);
+  });
+
+  it("merges without the common ancestor when it is not a valid notebook", () => {
+    const text = createConflictedText({ ours: "y = 1", theirs: "y = 2", base: "y = 0" }).replace(
+      /(\|{7} base\n)(.*)\n/,
+      "$1$2,,\n",
+    );
+    const result = resolveGitConflict(text);
+    expect(result.conflicts.map((conflict) => conflict.id)).toEqual(["cell-1"]);
+  });
+
+  it("names the side that is not a valid notebook", () => {
+    const text = createConflictedText({ ours: "y = 1", theirs: "y = 2" }).replace(
+      /(=======\n)(.*)\n/,
+      "$1$2,,\n",
+    );
+    expect(() => resolveGitConflict(text)).toThrowError(
+      /^The "feature" side of the git conflict is not a valid notebook: /,
+    );
+  });
+});
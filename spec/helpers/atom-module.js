@@ -0,0 +1,8 @@
+// Outside Pulsar, `require("atom")` resolves to event-kit, which provides
+// the Emitter and disposables of Pulsar's own `atom` module.
+const Module = require("module");
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...args) {
+  return resolveFilename.call(this, request === "atom" ? "event-kit" : request, ...args);
+};
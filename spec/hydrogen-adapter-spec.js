@@ -0,0 +1,135 @@
+const ExecutionQueue = require("../lib/execution-queue");
+const HydrogenAdapterService = require("../lib/hydrogen-adapter");
+
+// Stands in for a notebook editor, which the service recognizes by name.
+class JupyterNotebookEditor {
+  constructor(properties) {
+    Object.assign(this, properties);
+  }
+}
+
+// Records the cells kept mounted, like NotebookView.retainCellMount.
+function createView() {
+  return {
+    retained: new Set(),
+    retainCount: 0,
+    retainCellMount(cellId) {
+      this.retainCount++;
+      this.retained.add(cellId);
+    },
+    releaseCellMount(cellId) {
+      this.retained.delete(cellId);
+    },
+  };
+}
+
+function createEditor(cellTypes) {
+  const cells = cellTypes.map((type, index) => ({ id: `cell-${index}`, type, source: "" }));
+  const queue = new ExecutionQueue();
+  const cellEditor = {
+    getGrammar: () => ({ scopeName: "source.python" }),
+    getLastBufferRow: () => 0,
+  };
+  return new JupyterNotebookEditor({
+    activeCellIndex: 0,
+    cells,
+    view: createView(),
+    document: {
+      getCellCount: () => cells.length,
+      getCell: (index) => cells[index] || null,
+      getExecutionQueue: () => queue,
+      setKernelStatus() {},
+    },
+    getCellEditor: () => cellEditor,
+  });
+}
+
+function createAdapter(editor) {
+  return new HydrogenAdapterService().getAdapterForItem(editor);
+}
+
+function getQueue(editor) {
+  return editor.document.getExecutionQueue();
+}
+
+describe("JupyterHydrogenAdapter run targets", () => {
+  it("queues and mounts nothing until hydrogen-next begins the run", () => {
+    const editor = createEditor(["code", "markdown", "code"]);
+    const adapter = createAdapter(editor);
+
+    const targets = adapter.getRunTargets("all");
+    expect(targets.map((target) => target.executable)).toEqual([true, false, true]);
+    expect(getQueue(editor).queued).toEqual([]);
+    expect(editor.view.retainCount).toBe(0);
+
+    adapter.beginTargetExecution(targets[0]);
+    expect(getQueue(editor).queued).toEqual(["cell-2"]);
+    expect(getQueue(editor).isRunning("cell-0")).toBe(true);
+    expect([...editor.view.retained]).toEqual(["cell-0"]);
+  });
+
+  it("leaves nothing queued or mounted when the run is abandoned before it begins", () => {
+    const editor = createEditor(["code", "code"]);
+    const adapter = createAdapter(editor);
+
+    adapter.getRunTargets("all");
+    adapter.getKernelTarget(1);
+    expect(getQueue(editor).queued).toEqual([]);
+    expect(editor.view.retainCount).toBe(0);
+  });
+
+  it("releases every mount it retained once the run settles", () => {
+    const editor = createEditor(["code", "code", "code"]);
+    const adapter = createAdapter(editor);
+
+    const targets = adapter.getRunTargets("all");
+    adapter.clearTargetOutputs(targets[0]);
+    adapter.beginTargetExecution(targets[0]);
+    // A cell inserted above moves the running cell while it runs.
+    editor.cells.unshift({ id: "cell-new", type: "code", source: "" });
+    adapter.finishTargetExecution(targets[0]);
+    adapter.beginTargetExecution(targets[1]);
+    adapter.cancelTargetExecution(targets[1]);
+    adapter.skipTargetExecution(targets[2]);
+
+    expect(editor.view.retainCount).toBeGreaterThan(0);
+    expect([...editor.view.retained]).toEqual([]);
+    expect(getQueue(editor).queued).toEqual([]);
+    expect(getQueue(editor).running.size).toBe(0);
+  });
+
+  it("keeps cells dequeued from a run cancelled when targets are collected again", () => {
+    const editor = createEditor(["code", "code", "code"]);
+    const adapter = createAdapter(editor);
+
+    const targets = adapter.getRunTargets("all");
+    adapter.beginTargetExecution(targets[0]);
+    getQueue(editor).dequeue("cell-2");
+    editor.activeCellIndex = 2;
+    const [again] = adapter.getRunTargets("active");
+
+    expect(targets[2].executable).toBe(false);
+    expect(getQueue(editor).queued).toEqual(["cell-1"]);
+    // The cell still runs when it is part of another run.
+    expect(again.cellId).toBe("cell-2");
+    expect(again.executable).toBe(true);
+  });
+
+  it("takes the cells a notebook run command names once, instead of the selection", () => {
+    const editor = createEditor(["code", "markdown", "code", "code"]);
+    const adapter = createAdapter(editor);
+    editor.takePendingRunTargets = function () {
+      const run = this.pendingRunTargets;
+      this.pendingRunTargets = null;
+      return run;
+    };
+
+    editor.pendingRunTargets = { indexes: [2, 3] };
+    expect(adapter.getRunTargetIds("selected")).toEqual([2, 3]);
+    expect(adapter.getRunTargetIds("selected")).toEqual([0]);
+
+    editor.activeCellIndex = 2;
+    editor.pendingRunTargets = { scope: "above" };
+    expect(adapter.getRunTargetIds("selected")).toEqual([0, 1]);
+  });
+});
@@ -0,0 +1,198 @@
+const { mergeNotebooks, orderCellIds } = require("../lib/notebook-merge");
+
+function codeCell(id, source, fields = {}) {
+  const cell = {
+    id,
+    cell_type: "code",
+    metadata: {},
+    source,
+    outputs: [],
+    execution_count: null,
+    ...fields,
+  };
+  if (id === null) delete cell.id;
+  return cell;
+}
+
+function createNotebook(cells, metadata = {}) {
+  return { nbformat: 4, nbformat_minor: 5, metadata, cells };
+}
+
+function getSources(notebook) {
+  return notebook.cells.map((cell) => [cell.id, cell.source]);
+}
+
+describe("mergeNotebooks", () => {
+  const base = createNotebook([
+    codeCell("a", "a = 1"),
+    codeCell("b", "b = 1"),
+    codeCell("c", "c = 1"),
+  ]);
+
+  it("takes cells changed on one side only", () => {
+    const mine = createNotebook([
+      codeCell("a", "a = 2"),
+      codeCell("b", "b = 1"),
+      codeCell("c", "c = 1"),
+    ]);
+    const theirs = createNotebook([
+      codeCell("a", "a = 1"),
+      codeCell("b", "b = 3"),
+      codeCell("c", "c = 1"),
+    ]);
+
+    const result = mergeNotebooks(base, mine, theirs);
+    expect(getSources(result.notebook)).toEqual([
+      ["a", "a = 2"],
+      ["b", "b = 3"],
+      ["c", "c = 1"],
+    ]);
+    expect(result.conflicts).toEqual([]);
+    expect(result.changes).toBe(1);
+  });
+
+  it("keeps the editor's version of a cell changed on both sides and reports it", () => {
+    const mine = createNotebook([codeCell("a", "a = 2"), base.cells[1], base.cells[2]]);
+    const theirs = createNotebook([codeCell("a", "a = 3"), base.cells[1], base.cells[2]]);
+
+    const result = mergeNotebooks(base, mine, theirs);
+    expect(result.notebook.cells[0].source).toBe("a = 2");
+    expect(result.conflicts.length).toBe(1);
+    const [conflict] = result.conflicts;
+    expect(conflict.id).toBe("a");
+    expect(conflict.fields).toEqual(["source"]);
+    expect(conflict.mine.source).toBe("a = 2");
+    expect(conflict.theirs.source).toBe("a = 3");
+  });
+
+  it("reports a cell deleted on one side and changed on the other", () => {
+    // Mine deletes "a" and changes "c"; theirs changes "a", deletes "b" and "c".
+    const mine = createNotebook([base.cells[1], codeCell("c", "c = 2")]);
+    const theirs = createNotebook([codeCell("a", "a = 3")]);
+
+    const result = mergeNotebooks(base, mine, theirs);
+    expect(getSources(result.notebook)).toEqual([
+      ["a", "a = 3"],
+      ["c", "c = 2"],
+    ]);
+    expect(result.conflicts.map(({ id, mine, theirs }) => [id, !!mine, !!theirs])).toEqual([
+      ["c", true, false],
+      ["a", false, true],
+    ]);
+  });
+
+  it("follows the side that reordered cells and keeps cells added on the other", () => {
+    const mine = createNotebook([...base.cells, codeCell("d", "d = 1")]);
+    const theirs = createNotebook([base.cells[2], base.cells[0], base.cells[1]]);
+
+    const result = mergeNotebooks(base, mine, theirs);
+    expect(result.notebook.cells.map((cell) => cell.id)).toEqual(["c", "d", "a", "b"]);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it("matches external cells without ids by content, else by position", () => {
+    const withoutIds = (sources) => createNotebook(sources.map((source) => codeCell(null, source)));
+
+    const inserted = mergeNotebooks(base, base, withoutIds(["x = 0", "a = 1", "b = 1", "c = 1"]));
+    expect(getSources(inserted.notebook).slice(1)).toEqual([
+      ["a", "a = 1"],
+      ["b", "b = 1"],
+      ["c", "c = 1"],
+    ]);
+    expect(inserted.notebook.cells[0].source).toBe("x = 0");
+
+    const edited = mergeNotebooks(base, base, withoutIds(["a = 1", "b = 3", "c = 1"]));
+    expect(getSources(edited.notebook)).toEqual([
+      ["a", "a = 1"],
+      ["b", "b = 3"],
+      ["c", "c = 1"],
+    ]);
+    expect(edited.conflicts).toEqual([]);
+  });
+
+  it("matches cells without ids on every side, as in git conflicts", () => {
+    const withoutIds = (notebook) =>
+      createNotebook(notebook.cells.map((cell) => codeCell(null, cell.source)));
+    const mine = createNotebook([codeCell(null, "x = 0"), ...withoutIds(base).cells]);
+    const theirs = createNotebook([
+      codeCell(null, "a = 1"),
+      codeCell(null, "b = 3"),
+      codeCell(null, "c = 1"),
+    ]);
+
+    const result = mergeNotebooks(withoutIds(base), mine, theirs);
+    expect(result.notebook.cells.map((cell) => cell.source)).toEqual([
+      "x = 0",
+      "a = 1",
+      "b = 3",
+      "c = 1",
+    ]);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it("keeps the editor's outputs without a conflict when only outputs differ", () => {
+    const output = (text) => ({ output_type: "stream", name: "stdout", text });
+    const mine = createNotebook([
+      codeCell("a", "a = 1", { outputs: [output("mine")], execution_count: 2 }),
+      base.cells[1],
+      base.cells[2],
+    ]);
+    const theirs = createNotebook([
+      codeCell("a", "a = 1", { outputs: [output("theirs")], execution_count: 5 }),
+      base.cells[1],
+      base.cells[2],
+    ]);
+
+    const result = mergeNotebooks(base, mine, theirs);
+    expect(result.notebook.cells[0].outputs).toEqual([output("mine")]);
+    expect(result.notebook.cells[0].execution_count).toBe(2);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it("merges notebook metadata key by key", () => {
+    const metadataBase = { ...base, metadata: { kernelspec: "py3", title: "A", tags: 1 } };
+    const mine = { ...base, metadata: { kernelspec: "py3", title: "Mine", tags: 1 } };
+    const theirs = { ...base, metadata: { kernelspec: "julia", title: "Theirs" } };
+
+    const result = mergeNotebooks(metadataBase, mine, theirs);
+    expect(result.notebook.metadata).toEqual({ kernelspec: "julia", title: "Mine" });
+    expect(result.metadataConflicts).toEqual(["title"]);
+  });
+  it("treats cells that differ between both sides as conflicts without a base", () => {
+    const mine = createNotebook([base.cells[0], codeCell("b", "b = 2")]);
+    const theirs = createNotebook([base.cells[0], codeCell("b", "b = 3")]);
+
+    const result = mergeNotebooks(null, mine, theirs);
+    expect(result.conflicts.map((conflict) => conflict.id)).toEqual(["b"]);
+    expect(result.notebook.cells[1].source).toBe("b = 2");
+  });
+});
+
+describe("orderCellIds", () => {
+  const keepAll = (...lists) => new Set(lists.flat());
+
+  it("keeps the order when neither side reordered", () => {
+    const order = orderCellIds(
+      ["a", "b"],
+      ["a", "x", "b"],
+      ["a", "b", "y"],
+      keepAll(["a", "b", "x", "y"]),
+    );
+    expect(order).toEqual(["a", "x", "b", "y"]);
+  });
+
+  it("prefers the editor's order when both sides reordered", () => {
+    const order = orderCellIds(
+      ["a", "b", "c"],
+      ["c", "b", "a"],
+      ["b", "a", "c"],
+      keepAll(["a", "b", "c"]),
+    );
+    expect(order).toEqual(["c", "b", "a"]);
+  });
+
+  it("leaves out cells that are not kept", () => {
+    const order = orderCellIds(["a", "b", "c"], ["a", "b", "c"], ["c", "a"], new Set(["a", "c"]));
+    expect(order).toEqual(["c", "a"]);
+  });
+});
@@ -0,0 +1,39 @@
+const { getMarkdownHeadings, getSectionRange } = require("../lib/notebook-sections");
+
+const markdown = (source) => ({ type: "markdown", source });
+
+describe("notebook sections", () => {
+  it("finds the headings of a markdown source with their rows", () => {
+    expect(getMarkdownHeadings("# Title\ntext\n\n## Part  \n#not a heading")).toEqual([
+      { level: 1, text: "Title", row: 0 },
+      { level: 2, text: "Part", row: 3 },
+    ]);
+  });
+
+  it("skips lines in fenced code blocks", () => {
+    const source = [
+      "```python",
+      "# a comment",
+      "~~~",
+      "# still code",
+      "```",
+      "~~~~",
+      "# more code",
+      "~~~",
+      "~~~~",
+      "## After",
+    ].join("\n");
+    expect(getMarkdownHeadings(source)).toEqual([{ level: 2, text: "After", row: 9 }]);
+  });
+
+  it("doesn't end a section at a heading inside a code block", () => {
+    const cells = [
+      markdown("# Intro"),
+      markdown("```\n# comment\n```"),
+      { type: "code", source: "# also a comment" },
+      markdown("# Next"),
+    ];
+    expect(getSectionRange(cells, 0)).toEqual({ start: 0, end: 3 });
+    expect(getSectionRange(cells, 1)).toBeNull();
+  });
+});
@@ -0,0 +1,84 @@
+const { repairNotebook, validateNotebook } = require("../lib/notebook-validator");
+const { applySavePolicy } = require("../lib/save-policy");
+
+function createNotebook(minor, cells) {
+  return { nbformat: 4, nbformat_minor: minor, metadata: {}, cells };
+}
+
+function codeCell(fields = {}) {
+  return {
+    id: "code-1",
+    cell_type: "code",
+    metadata: {},
+    source: "x = 1",
+    outputs: [],
+    execution_count: null,
+    ...fields,
+  };
+}
+
+function getMessages(notebook) {
+  return validateNotebook(notebook).map(({ cellIndex, message }) => [cellIndex, message]);
+}
+
+describe("validateNotebook", () => {
+  it("accepts valid notebooks of every bundled minor version", () => {
+    const markdown = { cell_type: "markdown", metadata: {}, source: ["# Title\n", "text"] };
+    for (let minor = 0; minor <= 4; minor++) {
+      const cell = codeCell();
+      delete cell.id;
+      expect(getMessages(createNotebook(minor, [cell, markdown]))).toEqual([]);
+    }
+    const cells = [codeCell(), { ...markdown, id: "markdown-1" }];
+    expect(getMessages(createNotebook(5, cells))).toEqual([]);
+  });
+
+  it("reports schema errors where they are", () => {
+    const notebook = createNotebook(5, [
+      codeCell({
+        source: 5,
+        outputs: [{ output_type: "stream", name: "stdout" }, { output_type: "nope" }],
+      }),
+      { id: "raw-1", cell_type: "bogus", metadata: {}, source: "" },
+    ]);
+    notebook.extra = true;
+
+    expect(getMessages(notebook)).toEqual([
+      [null, "extra is not allowed"],
+      [0, "source must be string or array"],
+      [0, "outputs[0].text is missing"],
+      [
+        0,
+        'outputs[1].output_type "nope" is not a known output_type; expected "execute_result", "display_data", "stream" or "error"',
+      ],
+      [1, 'cell_type "bogus" is not a known cell_type; expected "raw", "markdown" or "code"'],
+    ]);
+  });
+
+  it("reports cell ids below nbformat 4.5 as repairable by upgrading", () => {
+    const [problem] = validateNotebook(createNotebook(4, [codeCell()]));
+    expect(problem.repair).toBe("upgrade-minor");
+    expect(
+      validateNotebook(repairNotebook(createNotebook(4, [codeCell()]), "upgrade-minor")),
+    ).toEqual([]);
+  });
+
+  it("keeps notebooks older than 4.5 valid when they are saved", () => {
+    const saved = applySavePolicy(createNotebook(4, [codeCell()]), {});
+    expect(saved.nbformat_minor).toBe(4);
+    expect(validateNotebook(saved)).toEqual([]);
+  });
+
+  it("reports missing and duplicate cell ids with their repairs", () => {
+    const missing = codeCell();
+    delete missing.id;
+    const notebook = createNotebook(5, [codeCell(), codeCell(), missing]);
+
+    expect(validateNotebook(notebook).map(({ cellIndex, repair }) => [cellIndex, repair])).toEqual([
+      [1, "deduplicate-ids"],
+      [2, null],
+    ]);
+    const repaired = repairNotebook(repairNotebook(notebook, "generate-ids"), "deduplicate-ids");
+    expect(validateNotebook(repaired)).toEqual([]);
+  });
+});
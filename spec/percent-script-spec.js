@@ -0,0 +1,59 @@
+const { exportPercentScript, importPercentScript } = require("../lib/percent-script");
+
+function toSourceLines(text) {
+  return text.split("\n").map((line, i, lines) => (i < lines.length - 1 ? `${line}\n` : line));
+}
+
+function createNotebook(cells) {
+  return {
+    nbformat: 4,
+    nbformat_minor: 5,
+    metadata: {},
+    cells: cells.map(([cellType, source], index) => ({
+      id: `cell-${index}`,
+      cell_type: cellType,
+      metadata: {},
+      source: toSourceLines(source),
+      ...(cellType === "code" ? { execution_count: null, outputs: [] } : {}),
+    })),
+  };
+}
+
+function getCells(notebook) {
+  return notebook.cells.map((cell) => [cell.cell_type, cell.source.join("")]);
+}
+
+describe("percent scripts", () => {
+  it("round-trips cell types, sources and tags", () => {
+    const notebook = createNotebook([
+      ["markdown", "# Title\n\nSome text"],
+      ["code", "x = 1\nprint(x)"],
+      ["raw", "raw text"],
+    ]);
+    notebook.cells[1].metadata.tags = ["parameters"];
+
+    const script = exportPercentScript(notebook);
+    const result = importPercentScript(script);
+    expect(getCells(result)).toEqual(getCells(notebook));
+    expect(result.cells[1].metadata.tags).toEqual(["parameters"]);
+  });
+
+  it("escapes lines that look like cell markers", () => {
+    const notebook = createNotebook([
+      ["code", "x = 1\n# %% not a marker\n# # %% escaped twice\ny = 2"],
+      ["markdown", "%% text\n# %% heading"],
+    ]);
+
+    const script = exportPercentScript(notebook);
+    expect(script).toContain("\n# # %% not a marker\n");
+    expect(getCells(importPercentScript(script))).toEqual(getCells(notebook));
+  });
+
+  it("escapes cell markers with the script language's comment", () => {
+    const notebook = createNotebook([["code", "// %% not a marker\n# %% not a comment here"]]);
+
+    const script = exportPercentScript(notebook, { comment: "//" });
+    expect(script).toContain("\n// // %% not a marker\n# %% not a comment here\n");
+    expect(getCells(importPercentScript(script, { comment: "//" }))).toEqual(getCells(notebook));
+  });
+});